@@ -1,12 +1,58 @@
 // app.js (ESM)
-const APP_VERSION = 1;
+const APP_VERSION = 2;
 const STORAGE_PREFIX = 'lotto:v1:';
 const DEFAULT_CLASS_KEY = 'trida-1';
+const ACTIVE_CLASS_KEY = 'lotto:active-class';
+const MAX_CLASS_KEY_LENGTH = 40;
+const NEW_CLASS_OPTION = '__new__';
 const DEFAULT_SETTINGS = {
   spinMs: 2600,
   reducedMotionMode: 'auto',
-  theme: 'auto'
+  theme: 'auto',
+  drawMode: 'random',
+  cooldown: 0
 };
+const MIN_SPIN_MS = 500;
+const MAX_SPIN_MS = 10000;
+const MAX_COOLDOWN = 10;
+const MAX_DRAW_COUNT = 10;
+const RECENT_HISTORY_LIMIT = 20;
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_DB_NAME = 'losovac';
+const HISTORY_DB_VERSION = 3;
+const HISTORY_STORE = 'history';
+const OUTCOME_STATUSES = ['correct', 'incorrect', 'skipped'];
+const OUTCOME_LABELS = { correct: '✓', incorrect: '✗', skipped: '⏭' };
+const MAX_NOTE_LENGTH = 200;
+const MAX_POINTS = 100;
+const TEAM_RULE_TYPES = ['apart', 'together'];
+const MAX_TAG_LENGTH = 30;
+const MAX_NICKNAME_LENGTH = 30;
+const MAX_STUDENT_NOTE_LENGTH = 500;
+const MAX_UNDO_STEPS = 50;
+const TOAST_MS = 6000;
+const MAX_REPORT_LINES = 12;
+const BACKUP_FORMAT = 'losovac-encrypted';
+const BACKUP_FORMAT_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 8;
+// Keep in sync with service-worker.js, which serves these files cache-first
+const OCR_CACHE = 'losovac-ocr-v1';
+const OCR_BASE_PATH = 'vendor/tesseract/';
+const OCR_LANGUAGE = 'ces';
+// Tesseract reads best with text lines ~30 px tall; narrow crops get upscaled towards this width
+const OCR_TARGET_WIDTH = 1800;
+const OCR_MAX_UPSCALE = 3;
+const OCR_MAX_PIXELS = 8000000;
+const OCR_MIN_SKEW_DEG = 0.3;
+const PRESENT_CHANNEL = 'losovac-present';
+// `index.html?view=present` opens the projector view instead of the teacher UI
+const PRESENT_VIEW = new URLSearchParams(window.location.search).get('view') === 'present';
+// Classroom tabs stay open all day; look for a new service worker this often
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+const DRAW_MODES = ['random', 'bag', 'weighted'];
+const FAIRNESS_DECAY = 0.9;
+const WEIGHT_RESOLUTION = 2 ** 20;
 
 const utils = {
   /** Normalize whitespace, remove empties, deduplicate */
@@ -16,7 +62,7 @@ const utils = {
       .map((line) => line.normalize('NFC').replace(/\s+/g, ' ').trim())
       .filter(Boolean);
   },
-  /** Create deterministic key for a name */
+  /** Name-derived slug; only used to spot duplicate names, never as a student's identity */
   createKey(raw) {
     const normalized = raw.normalize('NFKD');
     const withoutMarks = normalized.replace(/\p{Diacritic}/gu, '');
@@ -30,17 +76,133 @@ const utils = {
     crypto.getRandomValues(buffer);
     return `id-${buffer[0].toString(16)}`;
   },
-  /** Merge new raw names with existing ones */
-  mergeNames(existing, rawNames) {
-    const map = new Map(existing.map((item) => [item.key, item]));
+  /** Random stable id of a student, stored in its `key` field */
+  createId() {
+    const bytes = new Uint8Array(7);
+    crypto.getRandomValues(bytes);
+    return `s-${[...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('')}`;
+  },
+  /**
+   * Id replacing a v1 name-derived key. Deterministic (53-bit cyrb53 hash), so
+   * the localStorage snapshot and the IndexedDB history migrate independently.
+   */
+  legacyId(key) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < key.length; i += 1) {
+      const code = key.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return `s-${hash.toString(16).padStart(14, '0')}`;
+  },
+  /** "Jan Novák" for n = 0, then "Jan Novák (B)", "(C)"… for namesakes */
+  disambiguatedName(clean, n) {
+    if (!n) return clean;
+    return `${clean} (${n < 26 ? String.fromCharCode(65 + n) : n + 1})`;
+  },
+  /**
+   * Merge new raw names with existing ones. A name matches the existing
+   * student spelled the same way unless `isNewStudent(name, existing)` says
+   * otherwise; namesakes get a letter ("Jan Novák (B)"). A name repeated in
+   * one batch is always another student.
+   */
+  mergeNames(existing, rawNames, isNewStudent = () => false) {
+    const list = [...existing];
+    const bySlug = new Map(existing.map((item, index) => [utils.createKey(item.raw), index]));
+    const matched = new Set();
     for (const raw of rawNames) {
       const clean = raw.normalize('NFC').replace(/\s+/g, ' ').trim();
       if (!clean) continue;
-      const key = utils.createKey(clean);
-      // Update or add - new raw value always overwrites (allows fixing typos)
-      map.set(key, { raw: clean, key });
+      let forceNew = false;
+      // Walk "Jan Novák", "Jan Novák (B)"… to the first variant not used by this batch yet
+      for (let n = 0; ; n += 1) {
+        const variant = utils.disambiguatedName(clean, n);
+        const slug = utils.createKey(variant);
+        if (matched.has(slug)) continue;
+        const index = bySlug.get(slug);
+        if (index === undefined) {
+          list.push({ raw: variant, key: utils.createId() });
+          bySlug.set(slug, list.length - 1);
+          matched.add(slug);
+          break;
+        }
+        if (!forceNew && !isNewStudent(clean, list[index])) {
+          // Same student - new spelling of the plain name overwrites (allows fixing typos)
+          if (n === 0) list[index] = { ...list[index], raw: clean };
+          matched.add(slug);
+          break;
+        }
+        forceNew = true;
+      }
+    }
+    return list;
+  },
+  /** Name shown on the wheel and in the winner announcement */
+  displayName(name) {
+    return name.nickname || name.raw;
+  },
+  /** Collapse whitespace in a class key; empty string means invalid */
+  normalizeClassKey(raw) {
+    return String(raw ?? '').normalize('NFC').replace(/\s+/g, ' ').trim().slice(0, MAX_CLASS_KEY_LENGTH);
+  },
+  /** Split history (newest first) into draws - entries sharing a groupId form one draw */
+  groupHistory(history) {
+    const groups = [];
+    history.forEach((entry) => {
+      const last = groups[groups.length - 1];
+      if (entry.groupId && last && last[0].groupId === entry.groupId) {
+        last.push(entry);
+      } else {
+        groups.push([entry]);
+      }
+    });
+    // Entries within a group are stored newest first; show them in draw order
+    return groups.map((group) => group.reverse());
+  },
+  /** Entries of the most recent draw, in the order they were drawn */
+  latestDraw(history) {
+    const [latest] = utils.groupHistory(history.slice(0, MAX_DRAW_COUNT));
+    return latest ?? [];
+  },
+  latestDrawKeys(history) {
+    return utils.latestDraw(history).map((entry) => entry.key);
+  },
+  /** Validate a draw outcome; returns null when nothing valid is left */
+  sanitizeOutcome(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const outcome = {};
+    const grade = Number(raw.grade);
+    if (raw.grade !== undefined && raw.grade !== null && raw.grade !== '' && Number.isInteger(grade) && grade >= 1 && grade <= 5) {
+      outcome.grade = grade;
+    }
+    const points = Number(raw.points);
+    if (raw.points !== undefined && raw.points !== null && raw.points !== '' && Number.isFinite(points)) {
+      outcome.points = Math.max(-MAX_POINTS, Math.min(MAX_POINTS, Math.round(points * 100) / 100));
+    }
+    if (OUTCOME_STATUSES.includes(raw.status)) outcome.status = raw.status;
+    if (typeof raw.note === 'string') {
+      const note = raw.note.normalize('NFC').replace(/\s+/g, ' ').trim().slice(0, MAX_NOTE_LENGTH);
+      if (note) outcome.note = note;
     }
-    return Array.from(map.values());
+    return Object.keys(outcome).length ? outcome : null;
+  },
+  /** Short inline form of an outcome, e.g. "✓, 1, +2" */
+  formatOutcome(outcome) {
+    if (!outcome) return '';
+    const parts = [];
+    if (outcome.status) parts.push(OUTCOME_LABELS[outcome.status]);
+    if (outcome.grade) parts.push(String(outcome.grade));
+    if (outcome.points !== undefined) parts.push(outcome.points > 0 ? `+${outcome.points}` : String(outcome.points));
+    return parts.join(', ');
+  },
+  /** Quote every cell; CRLF line endings as RFC 4180 asks */
+  toCsv(rows, delimiter = ',') {
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    return rows.map((row) => row.map(quote).join(delimiter)).join('\r\n');
   },
   formatTimestamp(iso) {
     const date = new Date(iso);
@@ -58,9 +220,13 @@ const state = (() => {
     classKey: DEFAULT_CLASS_KEY,
     names: [],
     absentKeys: new Set(),
+    poolKeys: new Set(),
     history: [],
+    teamRules: [],
     settings: { ...DEFAULT_SETTINGS }
   };
+  // classKey -> { undo: [], redo: [] }; each step holds the data to go back to
+  const undoStacks = new Map();
 
   function notify() {
     for (const listener of listeners) listener(getSnapshot());
@@ -71,11 +237,124 @@ const state = (() => {
       classKey: data.classKey,
       names: [...data.names],
       absentKeys: new Set(data.absentKeys),
+      poolKeys: new Set(data.poolKeys),
+      history: [...data.history],
+      teamRules: [...data.teamRules],
+      settings: { ...data.settings }
+    };
+  }
+
+  function captureData() {
+    return {
+      names: [...data.names],
+      absentKeys: new Set(data.absentKeys),
+      poolKeys: new Set(data.poolKeys),
       history: [...data.history],
+      teamRules: [...data.teamRules],
       settings: { ...data.settings }
     };
   }
 
+  function undoStack() {
+    if (!undoStacks.has(data.classKey)) undoStacks.set(data.classKey, { undo: [], redo: [] });
+    return undoStacks.get(data.classKey);
+  }
+
+  /**
+   * Push the current data as an undo step. Consecutive steps sharing a
+   * `group` (e.g. the spins of one multi-draw) collapse into the first one.
+   * `archive` and `replacement` are the full histories (IndexedDB) before and
+   * after a step that rewrites all of it; the snapshot only holds the recent part.
+   */
+  function record(label, { group = null, archive = null, replacement = null } = {}) {
+    const stack = undoStack();
+    stack.redo = [];
+    const top = stack.undo[stack.undo.length - 1];
+    if (group && top?.group === group) return;
+    stack.undo.push({ label, group, archive, replacement, data: captureData() });
+    if (stack.undo.length > MAX_UNDO_STEPS) stack.undo.shift();
+  }
+
+  /** Outcomes are not part of undo: keep the ones edited since the step */
+  function restore(target) {
+    const outcomes = new Map(data.history.map((entry) => [entry.id, entry.outcome]));
+    data = {
+      ...data,
+      ...target,
+      absentKeys: new Set(target.absentKeys),
+      poolKeys: new Set(target.poolKeys),
+      history: target.history.map((entry) => {
+        if (!outcomes.has(entry.id)) return entry;
+        const { outcome: _previous, ...rest } = entry;
+        const outcome = outcomes.get(entry.id);
+        return outcome ? { ...rest, outcome } : rest;
+      })
+    };
+  }
+
+  /** Move one step from `from` to `to`; returns { label, before, after, archive } or null */
+  function travel(from, to) {
+    const stack = undoStacks.get(data.classKey);
+    const step = stack?.[from].pop();
+    if (!step) return null;
+    const before = captureData();
+    stack[to].push({ ...step, data: before });
+    restore(step.data);
+    notify();
+    return { label: step.label, before, after: captureData(), archive: step.archive, replacement: step.replacement };
+  }
+
+  function presentNames() {
+    return data.names.filter((n) => !data.absentKeys.has(n.key));
+  }
+
+  function assign(payload) {
+    data.names = payload.names ?? [];
+    data.absentKeys = new Set(payload.absentKeys ?? []);
+    data.poolKeys = new Set(payload.poolKeys ?? []);
+    data.history = (payload.history ?? []).slice(0, RECENT_HISTORY_LIMIT);
+    data.teamRules = payload.teamRules ?? [];
+    data.settings = { ...DEFAULT_SETTINGS, ...(payload.settings ?? {}) };
+  }
+
+  /** Present students still waiting for their turn in the current bag round */
+  function roundRemaining() {
+    return presentNames().filter((n) => data.poolKeys.has(n.key));
+  }
+
+  function takeFromPool(key) {
+    if (data.settings.drawMode !== 'bag') return;
+    if (!roundRemaining().length) {
+      // Round exhausted - refill with the whole roster
+      data.poolKeys = new Set(data.names.map((n) => n.key));
+    }
+    data.poolKeys.delete(key);
+  }
+
+  /** Names the wheel shows: the bag round's remainder, or everyone present */
+  function drawBase() {
+    const present = presentNames();
+    if (data.settings.drawMode !== 'bag') return present;
+    const remaining = roundRemaining();
+    return remaining.length ? remaining : present;
+  }
+
+  /**
+   * Map of key -> draws left until eligible for the last `cooldown` winners.
+   * The window shrinks while it would leave fewer than two names to draw from.
+   */
+  function cooldownMap(base) {
+    const baseKeys = new Set(base.map((n) => n.key));
+    for (let size = Math.min(data.settings.cooldown, data.history.length); size > 0; size -= 1) {
+      const cooling = new Map();
+      data.history.slice(0, size).forEach((entry, age) => {
+        if (baseKeys.has(entry.key) && !cooling.has(entry.key)) cooling.set(entry.key, size - age);
+      });
+      if (base.length - cooling.size >= Math.min(2, base.length)) return cooling;
+    }
+    return new Map();
+  }
+
   return {
     subscribe(fn) {
       listeners.add(fn);
@@ -88,19 +367,34 @@ const state = (() => {
     },
     updateFromStorage(payload) {
       if (!payload) return;
-      data.names = payload.names ?? [];
-      data.absentKeys = new Set(payload.absentKeys ?? []);
-      data.history = payload.history ?? [];
-      data.settings = { ...DEFAULT_SETTINGS, ...(payload.settings ?? {}) };
+      assign(payload);
+      notify();
+    },
+    /** Take over an imported payload as one undoable step; see record() for the histories */
+    replaceData(payload, { archive, replacement }) {
+      record('Import třídy', { archive, replacement });
+      assign(payload);
       notify();
     },
-    setNames(newNames) {
+    setNames(newNames, label = 'Změna seznamu žáků') {
+      record(label);
+      const previousKeys = new Set(data.names.map((n) => n.key));
       data.names = newNames;
       const validKeys = new Set(newNames.map((n) => n.key));
       data.absentKeys = new Set([...data.absentKeys].filter((key) => validKeys.has(key)));
+      data.teamRules = data.teamRules.filter((rule) => validKeys.has(rule.a) && validKeys.has(rule.b));
+      const midRound = data.poolKeys.size > 0;
+      data.poolKeys = new Set([...data.poolKeys].filter((key) => validKeys.has(key)));
+      if (midRound) {
+        // Students added during a round still get their turn in it
+        newNames.forEach((n) => {
+          if (!previousKeys.has(n.key)) data.poolKeys.add(n.key);
+        });
+      }
       notify();
     },
     toggleAbsent(key, isAbsent) {
+      record(isAbsent ? 'Označení nepřítomnosti' : 'Označení přítomnosti');
       if (isAbsent) {
         data.absentKeys.add(key);
       } else {
@@ -109,23 +403,110 @@ const state = (() => {
       notify();
     },
     clearAbsent() {
+      record('Zrušení nepřítomností');
       data.absentKeys.clear();
       notify();
     },
+    setNameTag(key, tag) {
+      data.names = data.names.map((n) => {
+        if (n.key !== key) return n;
+        const { tag: _previous, ...rest } = n;
+        return tag ? { ...rest, tag } : rest;
+      });
+      notify();
+    },
+    setTeamRules(rules) {
+      data.teamRules = rules;
+      notify();
+    },
     addHistory(entry) {
-      data.history = [entry, ...data.history].slice(0, 20);
+      record('Losování', { group: entry.groupId ?? null });
+      data.history = [entry, ...data.history].slice(0, RECENT_HISTORY_LIMIT);
+      takeFromPool(entry.key);
+      notify();
+    },
+    /** Attach (or clear with null) the outcome of a recent history entry */
+    setOutcome(id, outcome) {
+      data.history = data.history.map((entry) => {
+        if (entry.id !== id) return entry;
+        const { outcome: _previous, ...rest } = entry;
+        return outcome ? { ...rest, outcome } : rest;
+      });
       notify();
     },
-    resetHistory() {
+    /** `archive` is the full history being wiped, so undo can bring it back */
+    resetHistory(archive = null) {
+      record('Smazání historie', { archive });
       data.history = [];
+      data.poolKeys.clear();
       notify();
     },
     setSettings(partial) {
+      if (Object.entries(partial).some(([name, value]) => data.settings[name] !== value)) {
+        record('Změna nastavení');
+      }
+      if (partial.drawMode && partial.drawMode !== data.settings.drawMode) {
+        data.poolKeys.clear();
+      }
       data.settings = { ...data.settings, ...partial };
       notify();
     },
+    undo() {
+      return travel('undo', 'redo');
+    },
+    redo() {
+      return travel('redo', 'undo');
+    },
+    /** Labels of the next undo/redo steps of the current class, or null */
+    getUndoInfo() {
+      const stack = undoStacks.get(data.classKey);
+      return {
+        undo: stack?.undo[stack.undo.length - 1]?.label ?? null,
+        redo: stack?.redo[stack.redo.length - 1]?.label ?? null
+      };
+    },
+    /** Forget a class's steps, e.g. after its data was replaced wholesale */
+    dropUndo(classKey) {
+      undoStacks.delete(classKey);
+    },
+    /**
+     * Carry a class's steps over another tab's edits: `rebase(step)` returns the
+     * step's data with those edits applied, or null when it no longer fits -
+     * then that step and all older ones are dropped.
+     */
+    rebaseUndo(classKey, rebase) {
+      const stack = undoStacks.get(classKey);
+      if (!stack) return;
+      ['undo', 'redo'].forEach((side) => {
+        const kept = [];
+        for (let i = stack[side].length - 1; i >= 0; i -= 1) {
+          const rebased = rebase(stack[side][i]);
+          if (!rebased) break;
+          kept.unshift({ ...stack[side][i], data: rebased });
+        }
+        stack[side] = kept;
+      });
+    },
+    moveUndo(fromKey, toKey) {
+      const stack = undoStacks.get(fromKey);
+      undoStacks.delete(fromKey);
+      if (stack) undoStacks.set(toKey, stack);
+    },
     getPresentNames() {
-      return data.names.filter((n) => !data.absentKeys.has(n.key));
+      return presentNames();
+    },
+    /** Names shown on the wheel, including greyed-out ones in cooldown */
+    getWheelNames() {
+      return drawBase();
+    },
+    /** Names eligible for the next draw */
+    getDrawCandidates() {
+      const base = drawBase();
+      const cooling = cooldownMap(base);
+      return base.filter((n) => !cooling.has(n.key));
+    },
+    getCooldown() {
+      return cooldownMap(drawBase());
     },
     getState() {
       return getSnapshot();
@@ -133,747 +514,5075 @@ const state = (() => {
   };
 })();
 
-const rng = {
-  /** Return random index in range [0, max) using crypto */
-  index(max) {
-    if (max <= 0) return 0;
+const rng = (() => {
+  const RANGE = 0x100000000;
+
+  /** Uniform integer in [0, max) - rejection sampling keeps it free of modulo bias */
+  function uniformInt(max) {
+    const limit = RANGE - (RANGE % max);
     const array = new Uint32Array(1);
-    crypto.getRandomValues(array);
-    const fraction = array[0] / (0xffffffff + 1);
-    return Math.floor(fraction * max);
+    do {
+      crypto.getRandomValues(array);
+    } while (array[0] >= limit);
+    return array[0] % max;
+  }
+
+  return {
+    /** Return random index in range [0, max) using crypto */
+    index(max) {
+      if (max <= 0) return 0;
+      return uniformInt(max);
+    },
+    /** Fisher-Yates shuffle into a new array */
+    shuffle(list) {
+      const result = [...list];
+      for (let i = result.length - 1; i > 0; i -= 1) {
+        const j = uniformInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+      }
+      return result;
+    },
+    /** Return index i with probability weights[i] / sum(weights) */
+    weightedIndex(weights) {
+      const sum = weights.reduce((acc, w) => acc + Math.max(0, w), 0);
+      if (!weights.length || sum <= 0) return rng.index(weights.length);
+      // Quantize to integer ticks so the pick itself is an unbiased uniformInt
+      const ticks = weights.map((w) => (w > 0 ? Math.max(1, Math.round((w / sum) * WEIGHT_RESOLUTION)) : 0));
+      const total = ticks.reduce((acc, t) => acc + t, 0);
+      let r = uniformInt(total);
+      for (let i = 0; i < ticks.length; i += 1) {
+        if (r < ticks[i]) return i;
+        r -= ticks[i];
+      }
+      return ticks.length - 1;
+    }
+  };
+})();
+
+const fairness = {
+  /**
+   * Weight per name for the weighted draw mode. `counts` (draws per key over
+   * the whole class history) penalise frequent winners relative to the average
+   * of `names`; every recent draw adds a penalty that decays with its age
+   * (FAIRNESS_DECAY per newer draw). Chances shrink but never reach zero.
+   */
+  weights(names, history, counts = new Map()) {
+    const penalty = new Map();
+    history.forEach((entry, age) => {
+      penalty.set(entry.key, (penalty.get(entry.key) ?? 0) + FAIRNESS_DECAY ** age);
+    });
+    const average = names.reduce((sum, n) => sum + (counts.get(n.key) ?? 0), 0) / names.length;
+    return names.map((n) => {
+      const frequency = average > 0 ? (counts.get(n.key) ?? 0) / average : 0;
+      return 1 / (1 + frequency + (penalty.get(n.key) ?? 0));
+    });
   }
 };
 
-const storage = (() => {
-  function buildKey(classKey) {
-    return `${STORAGE_PREFIX}${classKey}`;
+const teams = (() => {
+  const MAX_SEARCH_STEPS = 20000;
+
+  /** As even as possible: sizes differ by at most one */
+  function teamSizes(total, mode, value) {
+    const wanted = mode === 'size' ? Math.ceil(total / value) : value;
+    const count = Math.max(1, Math.min(wanted, total));
+    const base = Math.floor(total / count);
+    const extra = total % count;
+    return Array.from({ length: count }, (_, i) => base + (i < extra ? 1 : 0));
   }
 
-  function migrate(payload) {
-    if (!payload) return null;
-    if (payload.version === APP_VERSION) return payload;
-    // Placeholder for future migrations
-    return {
-      version: APP_VERSION,
-      classKey: payload.classKey ?? DEFAULT_CLASS_KEY,
-      names: payload.names ?? [],
-      absentKeys: payload.absentKeys ?? [],
-      history: payload.history ?? [],
-      settings: { ...DEFAULT_SETTINGS, ...(payload.settings ?? {}) }
+  /** Union "together" pairs into units that must land in the same team */
+  function buildUnits(names, together) {
+    const parent = new Map(names.map((n) => [n.key, n.key]));
+    const find = (key) => {
+      while (parent.get(key) !== key) key = parent.get(key);
+      return key;
     };
+    together.forEach(({ a, b }) => parent.set(find(a), find(b)));
+    const units = new Map();
+    names.forEach((n) => {
+      const root = find(n.key);
+      if (!units.has(root)) units.set(root, []);
+      units.get(root).push(n);
+    });
+    return [...units.values()];
   }
 
-  function parse(json) {
-    try {
-      const parsed = JSON.parse(json);
-      if (typeof parsed !== 'object' || parsed === null) {
-        throw new Error('Soubor neobsahuje platná JSON data (očekáván objekt).');
+  function label(names) {
+    return names.map((n) => n.raw).join(', ');
+  }
+
+  return {
+    /**
+     * Split names into evenly sized teams honouring the rules. Throws a
+     * user-facing Error when the rules cannot be satisfied or no split is found
+     * within the search budget.
+     */
+    generate(names, { mode, value, rules = [], balance = false }) {
+      if (names.length < 2) {
+        throw new Error('Pro rozdělení jsou potřeba alespoň 2 přítomní žáci.');
       }
-      if (parsed.version !== APP_VERSION) {
-        throw new Error(`Nepodporovaná verze souboru (očekávána verze ${APP_VERSION}, nalezena ${parsed.version ?? 'žádná'}).`);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error('Zadejte kladný počet týmů nebo velikost týmu.');
       }
-      return migrate(parsed);
-    } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error('Soubor obsahuje neplatnou JSON syntaxi. Zkontrolujte, zda je soubor správný.');
+      const byKey = new Map(names.map((n) => [n.key, n]));
+      const active = rules.filter((rule) => byKey.has(rule.a) && byKey.has(rule.b));
+      const together = active.filter((rule) => rule.type === 'together');
+      const apart = active.filter((rule) => rule.type === 'apart');
+      const sizes = teamSizes(names.length, mode, value);
+      const units = buildUnits(names, together);
+      const unitOf = new Map();
+      units.forEach((unit, index) => unit.forEach((n) => unitOf.set(n.key, index)));
+      for (const rule of apart) {
+        if (unitOf.get(rule.a) === unitOf.get(rule.b)) {
+          throw new Error(
+            `${byKey.get(rule.a).raw} a ${byKey.get(rule.b).raw} mají být zároveň spolu i odděleně (i přes další dvojice).`
+          );
+        }
+      }
+      const largest = Math.max(...sizes);
+      const oversized = units.find((unit) => unit.length > largest);
+      if (oversized) {
+        throw new Error(`Skupina ${label(oversized)} musí být spolu, ale tým má nejvýše ${largest} členů.`);
+      }
+      const conflicts = new Map(names.map((n) => [n.key, new Set()]));
+      apart.forEach(({ a, b }) => {
+        conflicts.get(a).add(b);
+        conflicts.get(b).add(a);
+      });
+
+      // Largest units first packs tightly; the shuffle randomizes ties
+      const ordered = rng.shuffle(units).sort((x, y) => y.length - x.length);
+      const slots = sizes.map((capacity) => ({ capacity, members: [], tags: new Map() }));
+      let steps = 0;
+
+      const fits = (slot, unit) =>
+        slot.members.length + unit.length <= slot.capacity &&
+        !unit.some((n) => slot.members.some((m) => conflicts.get(n.key).has(m.key)));
+      const tagScore = (slot, unit) =>
+        balance ? unit.reduce((acc, n) => acc + (n.tag ? slot.tags.get(n.tag) ?? 0 : 0), 0) : 0;
+
+      function place(index) {
+        if (index === ordered.length) return true;
+        steps += 1;
+        if (steps > MAX_SEARCH_STEPS) {
+          throw new Error('Rozdělení se nepodařilo najít v rozumném čase – zkuste zmírnit podmínky.');
+        }
+        const unit = ordered[index];
+        const options = rng
+          .shuffle(slots.filter((slot) => fits(slot, unit)))
+          .sort((x, y) => tagScore(x, unit) - tagScore(y, unit) || x.members.length / x.capacity - y.members.length / y.capacity);
+        for (const slot of options) {
+          slot.members.push(...unit);
+          unit.forEach((n) => n.tag && slot.tags.set(n.tag, (slot.tags.get(n.tag) ?? 0) + 1));
+          if (place(index + 1)) return true;
+          slot.members.splice(slot.members.length - unit.length, unit.length);
+          unit.forEach((n) => n.tag && slot.tags.set(n.tag, slot.tags.get(n.tag) - 1));
+        }
+        return false;
+      }
+
+      if (!place(0)) {
+        throw new Error('Podmínky nelze splnit – zkuste jiný počet týmů nebo upravte dvojice.');
+      }
+      return slots.map((slot) => [...slot.members].sort((x, y) => x.raw.localeCompare(y.raw, 'cs')));
+    },
+    toText(result) {
+      return result.map((members, index) => `Tým ${index + 1}: ${label(members)}`).join('\n');
+    },
+    toCsv(result) {
+      const rows = [['Tým', 'Jméno', 'Štítek']];
+      result.forEach((members, index) => {
+        members.forEach((n) => rows.push([index + 1, n.raw, n.tag ?? '']));
+      });
+      return utils.toCsv(rows);
+    }
+  };
+})();
+
+const stats = (() => {
+  const SIGNIFICANCE = 0.05;
+
+  /** Lanczos approximation of ln(Gamma(x)) */
+  function gammaLn(x) {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    c.forEach((coef) => {
+      y += 1;
+      ser += coef / y;
+    });
+    return -tmp + Math.log((2.5066282746310005 * ser) / x);
+  }
+
+  /** Regularized upper incomplete gamma Q(a, x) */
+  function gammaQ(a, x) {
+    if (x <= 0) return 1;
+    const lnPrefix = -x + a * Math.log(x) - gammaLn(a);
+    if (x < a + 1) {
+      // Series for P(a, x)
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 500; n += 1) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
       }
-      console.error(error);
-      throw error;
+      return 1 - sum * Math.exp(lnPrefix);
+    }
+    // Lentz continued fraction for Q(a, x)
+    let b = x + 1 - a;
+    let c = 1 / 1e-300;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < 500; n += 1) {
+      const an = -n * (n - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = b + an / c;
+      if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return Math.exp(lnPrefix) * h;
+  }
+
+  /** Complementary error function (Numerical Recipes erfcc, |error| < 1.2e-7) */
+  function erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + z / 2);
+    const r =
+      t *
+      Math.exp(
+        -z * z -
+          1.26551223 +
+          t * (1.00002368 + t * (0.37409196 + t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277))))))))
+      );
+    return x >= 0 ? r : 2 - r;
+  }
+
+  return {
+    SIGNIFICANCE,
+    /** P(X >= x) for a chi-square distribution with df degrees of freedom */
+    chiSquareP(x, df) {
+      return gammaQ(df / 2, x / 2);
+    },
+    /**
+     * Compare how often each student was drawn with what a uniform draw among
+     * the students present at each draw would give. Entries without recorded
+     * attendance count everyone on the current roster as present.
+     */
+    summarize(names, entries) {
+      const rosterKeys = names.map((n) => n.key);
+      const rows = new Map(
+        names.map((n) => [
+          n.key,
+          {
+            name: n,
+            drawn: 0,
+            present: 0,
+            lastDrawn: null,
+            expected: 0,
+            variance: 0,
+            outcomes: { correct: 0, incorrect: 0, skipped: 0, gradeSum: 0, gradeCount: 0, points: 0 }
+          }
+        ])
+      );
+      let unknownAttendance = 0;
+      entries.forEach((entry) => {
+        const present = Array.isArray(entry.present) ? entry.present : rosterKeys;
+        if (!Array.isArray(entry.present)) unknownAttendance += 1;
+        const p = present.length ? 1 / present.length : 0;
+        present.forEach((key) => {
+          const row = rows.get(key);
+          if (!row) return;
+          row.present += 1;
+          row.expected += p;
+          row.variance += p * (1 - p);
+        });
+        const winner = rows.get(entry.key);
+        if (winner) {
+          winner.drawn += 1;
+          if (!winner.lastDrawn || entry.ts > winner.lastDrawn) winner.lastDrawn = entry.ts;
+          const outcome = entry.outcome;
+          if (outcome) {
+            if (outcome.status) winner.outcomes[outcome.status] += 1;
+            if (outcome.grade) {
+              winner.outcomes.gradeSum += outcome.grade;
+              winner.outcomes.gradeCount += 1;
+            }
+            if (outcome.points !== undefined) winner.outcomes.points += outcome.points;
+          }
+        }
+      });
+      const total = entries.length;
+      let chiSquare = 0;
+      let df = -1;
+      let sparse = 0;
+      const result = [...rows.values()].map((row) => {
+        let pValue = null;
+        let flag = null;
+        if (row.expected > 0) {
+          chiSquare += (row.drawn - row.expected) ** 2 / row.expected;
+          df += 1;
+          if (row.expected < 5) sparse += 1;
+        }
+        if (row.variance > 0) {
+          const z = (row.drawn - row.expected) / Math.sqrt(row.variance);
+          pValue = erfc(Math.abs(z) / Math.SQRT2);
+          if (pValue < SIGNIFICANCE) flag = z < 0 ? 'less' : 'more';
+        }
+        return {
+          ...row,
+          averageGrade: row.outcomes.gradeCount ? row.outcomes.gradeSum / row.outcomes.gradeCount : null,
+          share: total ? row.drawn / total : 0,
+          expectedShare: total ? row.expected / total : 0,
+          pValue,
+          flag
+        };
+      });
+      return {
+        rows: result,
+        total,
+        chiSquare,
+        df: Math.max(0, df),
+        pValue: df > 0 ? stats.chiSquareP(chiSquare, df) : null,
+        sparse,
+        unknownAttendance
+      };
+    }
+  };
+})();
+
+const csv = (() => {
+  const DELIMITERS = [';', ',', '\t', '|'];
+  const COLUMN_HINTS = {
+    first: /^(jm[eé]no|k[rř]estn[ií]|first|given)/i,
+    last: /^(p[rř][ií]jmen[ií]|surname|last|family)/i,
+    display: /^(cel[eé] jm[eé]no|zobrazovan[eé]|name|display)$/i,
+    classCol: /^(t[rř][ií]da|class|skupina)/i
+  };
+
+  /** Count delimiter occurrences outside quotes */
+  function countOutsideQuotes(line, delimiter) {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+      if (char === '"') quoted = !quoted;
+      else if (char === delimiter && !quoted) count += 1;
     }
+    return count;
   }
 
   return {
-    load(classKey) {
+    /** Decode bytes as UTF-8 (BOM stripped) or, when that fails, as Windows-1250 */
+    decode(buffer) {
+      const bytes = new Uint8Array(buffer);
+      if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+        return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16' };
+      }
       try {
-        const raw = localStorage.getItem(buildKey(classKey));
-        if (!raw) return null;
-        const parsed = JSON.parse(raw);
-        const migrated = migrate(parsed);
-        return migrated;
+        const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return { text: text.replace(/^\uFEFF/, ''), encoding: 'UTF-8' };
       } catch (error) {
-        console.error('Chyba při načítání', error);
-        return null;
+        return { text: new TextDecoder('windows-1250').decode(bytes), encoding: 'Windows-1250' };
       }
     },
-    save(classKey, snapshot) {
-      try {
-        const payload = {
-          version: APP_VERSION,
-          classKey,
-          names: snapshot.names,
-          absentKeys: [...snapshot.absentKeys],
-          history: snapshot.history,
-          settings: snapshot.settings
-        };
-        localStorage.setItem(buildKey(classKey), JSON.stringify(payload));
-      } catch (error) {
-        console.error('Chyba při ukládání', error);
+    /** Pick the delimiter that splits the first lines into the most consistent column count */
+    detectDelimiter(text) {
+      const lines = text.split(/\r?\n/).filter((line) => line.trim()).slice(0, 20);
+      let best = { delimiter: ',', score: -1 };
+      DELIMITERS.forEach((delimiter) => {
+        const counts = lines.map((line) => countOutsideQuotes(line, delimiter));
+        if (!counts.length || counts[0] === 0) return;
+        const consistent = counts.filter((count) => count === counts[0]).length;
+        const score = consistent * 1000 + counts[0];
+        if (score > best.score) best = { delimiter, score };
+      });
+      return best.delimiter;
+    },
+    /** RFC 4180 parser; empty lines are dropped */
+    parse(text, delimiter) {
+      const rows = [];
+      let row = [];
+      let field = '';
+      let quoted = false;
+      for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+        if (quoted) {
+          if (char === '"' && text[i + 1] === '"') {
+            field += '"';
+            i += 1;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            field += char;
+          }
+        } else if (char === '"' && field === '') {
+          quoted = true;
+        } else if (char === delimiter) {
+          row.push(field);
+          field = '';
+        } else if (char === '\n' || char === '\r') {
+          if (char === '\r' && text[i + 1] === '\n') i += 1;
+          row.push(field);
+          rows.push(row);
+          row = [];
+          field = '';
+        } else {
+          field += char;
+        }
       }
+      if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+      }
+      return rows
+        .map((cells) => cells.map((cell) => cell.trim()))
+        .filter((cells) => cells.some(Boolean));
     },
-    exportPayload(snapshot) {
+    /** Column indexes guessed from header labels; -1 when not found */
+    guessMapping(header) {
+      const mapping = { first: -1, last: -1, display: -1, classCol: -1 };
+      header.forEach((label, index) => {
+        Object.entries(COLUMN_HINTS).forEach(([field, pattern]) => {
+          if (mapping[field] === -1 && pattern.test(label.trim())) mapping[field] = index;
+        });
+      });
+      return mapping;
+    },
+    /** Display name for one row, or '' when the row is filtered out or empty */
+    nameFromRow(row, { first, last, display, classCol, classValue, order }) {
+      if (classCol >= 0 && classValue && (row[classCol] ?? '') !== classValue) return '';
+      if (display >= 0 && row[display]) return row[display];
+      const firstName = first >= 0 ? row[first] ?? '' : '';
+      const lastName = last >= 0 ? row[last] ?? '' : '';
+      const parts = order === 'last-first' ? [lastName, firstName] : [firstName, lastName];
+      return parts.filter(Boolean).join(' ');
+    }
+  };
+})();
+
+const reports = (() => {
+  // Semicolons so spreadsheet apps in the Czech locale (decimal comma) split the columns
+  const DELIMITER = ';';
+  const STATUS_TEXT = { correct: 'správně', incorrect: 'špatně', skipped: 'přeskočeno' };
+  const dateFormat = new Intl.DateTimeFormat('cs-CZ', { dateStyle: 'short' });
+  const timeFormat = new Intl.DateTimeFormat('cs-CZ', { timeStyle: 'short' });
+
+  function formatNumber(value, digits = 1) {
+    return value.toLocaleString('cs-CZ', { maximumFractionDigits: digits });
+  }
+
+  return {
+    STATUS_TEXT,
+    /** One row per history entry: date, time, student and outcome */
+    historyRows(entries, namesMap) {
+      return entries.map((entry) => {
+        const date = new Date(entry.ts);
+        const outcome = entry.outcome ?? {};
+        return {
+          date: dateFormat.format(date),
+          time: timeFormat.format(date),
+          name: namesMap.get(entry.key)?.raw ?? entry.key,
+          status: outcome.status ? STATUS_TEXT[outcome.status] : '',
+          grade: outcome.grade ? String(outcome.grade) : '',
+          points: outcome.points !== undefined ? formatNumber(outcome.points, 2) : '',
+          note: outcome.note ?? '',
+          present: Array.isArray(entry.present) ? String(entry.present.length) : ''
+        };
+      });
+    },
+    /** Per-student rows of a stats.summarize() result */
+    summaryRows(summary) {
+      return summary.rows.map((row) => ({
+        name: row.name.raw,
+        drawn: String(row.drawn),
+        present: String(row.present),
+        lastDrawn: row.lastDrawn ? utils.formatTimestamp(row.lastDrawn) : '',
+        share: `${formatNumber(row.share * 100)} %`,
+        expectedShare: `${formatNumber(row.expectedShare * 100)} %`,
+        correct: String(row.outcomes.correct),
+        incorrect: String(row.outcomes.incorrect),
+        skipped: String(row.outcomes.skipped),
+        averageGrade: row.averageGrade === null ? '' : formatNumber(row.averageGrade, 2),
+        points: formatNumber(row.outcomes.points, 2)
+      }));
+    },
+    historyCsv(entries, namesMap) {
+      const rows = reports.historyRows(entries, namesMap).map((row) => [
+        row.date,
+        row.time,
+        row.name,
+        row.status,
+        row.grade,
+        row.points,
+        row.note,
+        row.present
+      ]);
+      return utils.toCsv([['Datum', 'Čas', 'Žák', 'Výsledek', 'Známka', 'Body', 'Poznámka', 'Přítomno žáků'], ...rows], DELIMITER);
+    },
+    summaryCsv(summary) {
+      const rows = reports.summaryRows(summary).map((row) => [
+        row.name,
+        row.drawn,
+        row.present,
+        row.lastDrawn,
+        row.share,
+        row.expectedShare,
+        row.correct,
+        row.incorrect,
+        row.skipped,
+        row.averageGrade,
+        row.points
+      ]);
+      const header = ['Žák', 'Vylosován', 'Přítomen', 'Naposledy', 'Podíl', 'Očekávaný podíl', 'Správně', 'Špatně', 'Přeskočeno', 'Průměr známek', 'Body'];
+      return utils.toCsv([header, ...rows], DELIMITER);
+    }
+  };
+})();
+
+/**
+ * Comparing and merging an imported class payload with the current class.
+ * Students match by id first, then by name among the ones left unmatched, so
+ * a backup from another device still lines up with the same students.
+ */
+const importMerge = (() => {
+  const SETTING_LABELS = {
+    spinMs: 'Délka točení (ms)',
+    reducedMotionMode: 'Omezení animací',
+    theme: 'Motiv',
+    drawMode: 'Režim losování',
+    cooldown: 'Pauza po vylosování'
+  };
+
+  /** incoming key -> current key for every incoming student that is already in the class */
+  function matchKeys(currentNames, incomingNames) {
+    const currentKeys = new Set(currentNames.map((n) => n.key));
+    const incomingKeys = new Set(incomingNames.map((n) => n.key));
+    const bySlug = new Map();
+    currentNames
+      .filter((n) => !incomingKeys.has(n.key))
+      .forEach((n) => {
+        const slug = utils.createKey(n.raw);
+        if (!bySlug.has(slug)) bySlug.set(slug, n.key);
+      });
+    const keyMap = new Map();
+    incomingNames.forEach((n) => {
+      if (currentKeys.has(n.key)) {
+        keyMap.set(n.key, n.key);
+        return;
+      }
+      const slug = utils.createKey(n.raw);
+      if (bySlug.has(slug)) {
+        keyMap.set(n.key, bySlug.get(slug));
+        bySlug.delete(slug);
+      }
+    });
+    return keyMap;
+  }
+
+  function remapEntry(entry, remap) {
+    const mapped = { ...entry, key: remap(entry.key) };
+    if (Array.isArray(entry.present)) mapped.present = entry.present.map(remap);
+    return mapped;
+  }
+
+  return {
+    SETTING_LABELS,
+    /**
+     * What an import would change. `currentHistory` is the class's full
+     * history; `removed` only applies when the class gets replaced.
+     */
+    diff(current, incoming, currentHistory) {
+      const keyMap = matchKeys(current.names, incoming.names);
+      const currentByKey = new Map(current.names.map((n) => [n.key, n]));
+      const matched = new Set(keyMap.values());
+      const knownIds = new Set(currentHistory.map((entry) => entry.id));
       return {
-        version: APP_VERSION,
-        classKey: snapshot.classKey,
-        names: snapshot.names,
-        absentKeys: [...snapshot.absentKeys],
-        history: snapshot.history,
-        settings: snapshot.settings
+        added: incoming.names.filter((n) => !keyMap.has(n.key)),
+        removed: current.names.filter((n) => !matched.has(n.key)),
+        renamed: incoming.names
+          .filter((n) => keyMap.has(n.key) && currentByKey.get(keyMap.get(n.key)).raw !== n.raw)
+          .map((n) => ({ from: currentByKey.get(keyMap.get(n.key)).raw, to: n.raw })),
+        history: {
+          current: currentHistory.length,
+          incoming: incoming.history.length,
+          fresh: incoming.history.filter((entry) => !knownIds.has(entry.id)).length
+        },
+        settings: Object.keys(DEFAULT_SETTINGS)
+          .filter((field) => current.settings[field] !== incoming.settings[field])
+          .map((field) => ({ field, from: current.settings[field], to: incoming.settings[field] }))
       };
     },
-    importPayload(json) {
-      const parsed = parse(json);
-      if (!parsed) {
-        throw new Error('Soubor neobsahuje platná data.');
-      }
-      const rawNames = Array.isArray(parsed.names) ? parsed.names : [];
-      const sanitizedNames = [];
-      const seenKeys = new Set();
-      rawNames.forEach((item) => {
-        const raw =
-          typeof item.raw === 'string' ? item.raw.normalize('NFC').replace(/\s+/g, ' ').trim() : '';
-        if (!raw) return;
-        const key = utils.createKey(raw);
-        if (seenKeys.has(key)) return;
-        seenKeys.add(key);
-        sanitizedNames.push({ raw, key });
-      });
-      const absentKeys = Array.isArray(parsed.absentKeys)
-        ? parsed.absentKeys.filter((key) => seenKeys.has(key))
-        : [];
-      const history = Array.isArray(parsed.history)
-        ? parsed.history
-            .map((entry) => ({
-              key: entry.key,
-              ts: entry.ts,
-              id: entry.id || crypto.randomUUID()
-            }))
-            .filter((entry) =>
-              seenKeys.has(entry.key) && typeof entry.ts === 'string' && !Number.isNaN(new Date(entry.ts).getTime())
-            )
-            .slice(0, 20)
-        : [];
-      const settings = {
-        ...DEFAULT_SETTINGS,
-        ...(parsed.settings ?? {})
-      };
-      settings.spinMs = Number.isFinite(Number(settings.spinMs)) ? Number(settings.spinMs) : DEFAULT_SETTINGS.spinMs;
-      if (!['auto', 'on', 'off'].includes(settings.reducedMotionMode)) settings.reducedMotionMode = DEFAULT_SETTINGS.reducedMotionMode;
-      if (!['auto', 'light', 'dark'].includes(settings.theme)) settings.theme = DEFAULT_SETTINGS.theme;
+    /**
+     * Current class plus the imported students and history. Matched students
+     * take the imported details; attendance, the bag round and settings stay.
+     * History is deduplicated by entry id. Returns { payload, history } where
+     * `history` is the full merged list, newest first.
+     */
+    merge(current, incoming, currentHistory) {
+      const keyMap = matchKeys(current.names, incoming.names);
+      const remap = (key) => keyMap.get(key) ?? key;
+      const incomingByKey = new Map(incoming.names.map((n) => [remap(n.key), n]));
+      const names = current.names.map((n) => (incomingByKey.has(n.key) ? { ...incomingByKey.get(n.key), key: n.key } : n));
+      const slugs = new Set(names.map((n) => utils.createKey(n.raw)));
+      incoming.names
+        .filter((n) => !keyMap.has(n.key))
+        .forEach((n) => {
+          // A namesake of someone already in the class gets a letter
+          let suffix = 0;
+          while (slugs.has(utils.createKey(utils.disambiguatedName(n.raw, suffix)))) suffix += 1;
+          const raw = utils.disambiguatedName(n.raw, suffix);
+          slugs.add(utils.createKey(raw));
+          names.push({ ...n, raw });
+        });
+      const byId = new Map(currentHistory.map((entry) => [entry.id, entry]));
+      incoming.history.forEach((entry) => {
+        if (!byId.has(entry.id)) byId.set(entry.id, remapEntry(entry, remap));
+      });
+      const history = [...byId.values()].sort((a, b) => (a.ts < b.ts ? 1 : a.ts > b.ts ? -1 : 0));
+      const pairs = new Set(current.teamRules.map((rule) => [rule.a, rule.b].sort().join('|')));
+      const teamRules = [...current.teamRules];
+      incoming.teamRules.forEach((rule) => {
+        const mapped = { ...rule, a: remap(rule.a), b: remap(rule.b) };
+        const pair = [mapped.a, mapped.b].sort().join('|');
+        // A pair keeps its current rule; the imported one could contradict it
+        if (pairs.has(pair)) return;
+        pairs.add(pair);
+        teamRules.push(mapped);
+      });
       return {
-        version: APP_VERSION,
-        classKey: parsed.classKey || DEFAULT_CLASS_KEY,
-        names: sanitizedNames,
-        absentKeys,
-        history,
-        settings
+        payload: {
+          version: APP_VERSION,
+          classKey: current.classKey,
+          names,
+          absentKeys: [...current.absentKeys],
+          poolKeys: [...current.poolKeys],
+          history: history.slice(0, RECENT_HISTORY_LIMIT),
+          teamRules,
+          settings: { ...current.settings }
+        },
+        history
       };
     }
   };
 })();
 
-const render = (() => {
-  const namesList = document.getElementById('namesList');
-  const winnerStatus = document.getElementById('winnerStatus');
-  const historyList = document.getElementById('historyList');
-  const highlightList = document.getElementById('highlightList');
+/**
+ * Three-way merge of one class edited in two tabs at the same time. `base` is
+ * the version both edits started from, or null when it is not known - then
+ * nothing counts as deleted. Where both sides changed the same thing
+ * differently ours wins (deletions win over edits) and the clash is listed
+ * in `conflicts`.
+ */
+const tabMerge = (() => {
+  // Key order differs between freshly edited and re-loaded records
+  const sortKeys = (_, value) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : value;
+  const same = (a, b) => JSON.stringify(a, sortKeys) === JSON.stringify(b, sortKeys);
 
-  function renderNames(names, absentKeys, selectedKey = null) {
-    namesList.textContent = '';
-    if (!names.length) {
-      const li = document.createElement('li');
-      li.className = 'rounded-lg border border-dashed border-slate-300 bg-slate-50 px-3 py-2 text-sm text-slate-600 dark:border-slate-600 dark:bg-slate-900 dark:text-slate-300';
-      li.textContent = 'Zatím nebyla přidána žádná jména.';
-      namesList.appendChild(li);
-      return;
-    }
-    names.forEach((name) => {
-      const li = document.createElement('li');
-      li.className = 'flex items-center justify-between gap-3 rounded-lg border border-slate-200 bg-white px-3 py-2 shadow-sm dark:border-slate-700 dark:bg-slate-900';
-      li.dataset.key = name.key;
-      const label = document.createElement('label');
-      label.className = 'flex flex-1 items-center gap-3 text-sm';
-      label.setAttribute('for', `absent-${name.key}`);
-      const span = document.createElement('span');
-      span.className = 'truncate font-medium';
-      span.textContent = name.raw;
-      span.title = name.raw;
-      if (selectedKey && selectedKey === name.key) {
-        span.classList.add('text-accent');
-      }
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.className = 'h-4 w-4 rounded border-slate-300 text-accent focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60 dark:border-slate-600';
-      checkbox.id = `absent-${name.key}`;
-      checkbox.checked = absentKeys.has(name.key);
-      checkbox.dataset.key = name.key;
-      label.appendChild(checkbox);
-      label.appendChild(span);
-      const status = document.createElement('span');
-      status.className = 'text-xs text-slate-500 dark:text-slate-400';
-      status.textContent = checkbox.checked ? 'Nepřítomen' : 'Přítomen';
-      li.appendChild(label);
-      li.appendChild(status);
-      namesList.appendChild(li);
+  /** Items both sides kept, plus whatever either side added since `base` */
+  function mergeSet(base, ours, theirs, id = (item) => item) {
+    const baseIds = new Set((base ?? []).map(id));
+    const ourIds = new Set(ours.map(id));
+    const theirIds = new Set(theirs.map(id));
+    const merged = ours.filter((item) => theirIds.has(id(item)) || !baseIds.has(id(item)));
+    theirs.forEach((item) => {
+      if (!ourIds.has(id(item)) && !baseIds.has(id(item))) merged.push(item);
     });
+    return merged;
   }
 
-  function renderWinner(name) {
-    winnerStatus.textContent = name ? name.raw : '';
+  /** mergeSet for records that can also be edited on either side */
+  function mergeRecords(base, ours, theirs, id, describe, conflicts) {
+    const baseById = new Map((base ?? []).map((item) => [id(item), item]));
+    const oursById = new Map(ours.map((item) => [id(item), item]));
+    const theirsById = new Map(theirs.map((item) => [id(item), item]));
+    // Deleted on one side after the other side edited it
+    baseById.forEach((original, key) => {
+      const edited = [oursById.get(key), theirsById.get(key)].find((item) => item && !same(item, original));
+      if (edited && (!oursById.has(key) || !theirsById.has(key))) conflicts.push(`${describe(original)} (smazáno v jednom okně, upraveno v druhém)`);
+    });
+    return mergeSet(base, ours, theirs, id).map((item) => {
+      const their = theirsById.get(id(item));
+      if (!their || same(item, their)) return item;
+      const original = baseById.get(id(item));
+      if (original && same(item, original)) return their;
+      if (!original || !same(their, original)) conflicts.push(describe(item));
+      return item;
+    });
   }
 
-  function renderHistory(history, namesMap) {
-    historyList.textContent = '';
-    if (!history.length) {
-      const li = document.createElement('li');
-      li.className = 'text-sm text-slate-500 dark:text-slate-400';
-      li.textContent = 'Historie je prázdná.';
-      historyList.appendChild(li);
-      return;
+  /**
+   * Oldest timestamp both recent windows still cover. A full window has pushed
+   * older entries out, so their absence there is not a deletion.
+   */
+  function historyCutoff(ours, theirs) {
+    return [ours, theirs]
+      .filter((history) => history.length >= RECENT_HISTORY_LIMIT)
+      .map((history) => history.reduce((oldest, entry) => (entry.ts < oldest ? entry.ts : oldest), history[0].ts))
+      .reduce((latest, ts) => (ts > latest ? ts : latest), '');
+  }
+
+  function mergeSettings(base, ours, theirs, conflicts) {
+    const settings = { ...ours };
+    Object.keys(DEFAULT_SETTINGS).forEach((field) => {
+      if (ours[field] === theirs[field]) return;
+      if (base && ours[field] === base[field]) {
+        settings[field] = theirs[field];
+      } else if (!base || theirs[field] !== base[field]) {
+        conflicts.push(`nastavení „${importMerge.SETTING_LABELS[field]}“`);
+      }
+    });
+    return settings;
+  }
+
+  // State snapshots keep Sets, payloads arrays
+  const asPayload = (data) => ({ ...data, absentKeys: [...data.absentKeys], poolKeys: [...data.poolKeys] });
+
+  return {
+    same,
+    /**
+     * `data` (class state, e.g. an undo step's) with the edits that turned the
+     * state `ours` into the payload `theirs`; null when they collide with what
+     * `data` differs in.
+     */
+    rebase(ours, theirs, data) {
+      const { payload, conflicts } = tabMerge.merge(asPayload(ours), asPayload(data), theirs);
+      if (conflicts.length) return null;
+      const { names, absentKeys, poolKeys, history, teamRules, settings } = payload;
+      return { names, absentKeys: new Set(absentKeys), poolKeys: new Set(poolKeys), history, teamRules, settings };
+    },
+    /** Payloads as stored (arrays, not Sets); returns { payload, conflicts } */
+    merge(base, ours, theirs) {
+      const conflicts = [];
+      const names = mergeRecords(base?.names, ours.names, theirs.names, (n) => n.key, (n) => `žák „${n.raw}“`, conflicts);
+      const known = new Set(names.map((n) => n.key));
+      const namesMap = new Map([...(base?.names ?? []), ...theirs.names, ...names].map((n) => [n.key, n]));
+      const cutoff = historyCutoff(ours.history, theirs.history);
+      const visible = (history) => history && history.filter((entry) => entry.ts >= cutoff);
+      const history = mergeRecords(
+        visible(base?.history),
+        visible(ours.history),
+        visible(theirs.history),
+        (entry) => entry.id,
+        (entry) => `výsledek losování (${namesMap.get(entry.key)?.raw ?? entry.key})`,
+        conflicts
+      ).sort((a, b) => (a.ts < b.ts ? 1 : a.ts > b.ts ? -1 : 0));
+      const ruleId = (rule) => `${rule.a}|${rule.b}|${rule.type}`;
+      const pairs = new Set();
+      const teamRules = mergeSet(base?.teamRules, ours.teamRules, theirs.teamRules, ruleId).filter((rule) => {
+        if (!known.has(rule.a) || !known.has(rule.b)) return false;
+        const pair = [rule.a, rule.b].sort().join('|');
+        // Ours come first, so a contradicting rule from the other tab loses
+        if (pairs.has(pair)) {
+          conflicts.push(`pravidlo týmu ${namesMap.get(rule.a).raw} – ${namesMap.get(rule.b).raw}`);
+          return false;
+        }
+        pairs.add(pair);
+        return true;
+      });
+      return {
+        payload: {
+          version: APP_VERSION,
+          classKey: ours.classKey,
+          names,
+          absentKeys: mergeSet(base?.absentKeys, ours.absentKeys, theirs.absentKeys).filter((key) => known.has(key)),
+          poolKeys: mergeSet(base?.poolKeys, ours.poolKeys, theirs.poolKeys).filter((key) => known.has(key)),
+          history: history.slice(0, RECENT_HISTORY_LIMIT),
+          teamRules,
+          settings: mergeSettings(base?.settings, ours.settings, theirs.settings, conflicts)
+        },
+        conflicts: [...new Set(conflicts)]
+      };
+    }
+  };
+})();
+
+/**
+ * Passphrase-protected backups: PBKDF2-SHA-256 derives 512 bits, the first
+ * half is the AES-GCM key, the second a check value that tells a wrong
+ * passphrase apart from a tampered file (GCM alone fails the same way).
+ */
+const backupCrypto = (() => {
+  const encoder = new TextEncoder();
+
+  function toBase64(bytes) {
+    let binary = '';
+    // Chunked - spreading a large array into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    if (typeof text !== 'string') throw new Error('Šifrovaná záloha je poškozená (chybí data).');
+    try {
+      return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+    } catch (error) {
+      throw new Error('Šifrovaná záloha je poškozená (neplatné kódování).');
+    }
+  }
+
+  async function deriveKeys(passphrase, salt, iterations) {
+    const base = await crypto.subtle.importKey('raw', encoder.encode(passphrase.normalize('NFC')), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, base, 512));
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    return { key, check: toBase64(bits.slice(32)) };
+  }
+
+  /** Constant-time comparison, so timing does not leak how much of the check matched */
+  function sameText(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i += 1) difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return difference === 0;
+  }
+
+  return {
+    isEncrypted(parsed) {
+      return Boolean(parsed) && typeof parsed === 'object' && parsed.format === BACKUP_FORMAT;
+    },
+    /** Encrypt text into a self-describing envelope object */
+    async encrypt(text, passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const { key, check } = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+      const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text));
+      return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt), check },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        data: toBase64(new Uint8Array(data))
+      };
+    },
+    /** Decrypted text, or null when the passphrase is wrong; throws for damaged files */
+    async decrypt(envelope, passphrase) {
+      if (envelope.version !== BACKUP_FORMAT_VERSION) {
+        throw new Error(`Nepodporovaná verze šifrované zálohy (${envelope.version ?? 'žádná'}).`);
+      }
+      const { kdf, cipher } = envelope;
+      if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !cipher || cipher.name !== 'AES-GCM') {
+        throw new Error('Šifrovaná záloha je poškozená (neznámý způsob šifrování).');
+      }
+      if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1000 || kdf.iterations > 10000000) {
+        throw new Error('Šifrovaná záloha je poškozená (neplatné parametry).');
+      }
+      const salt = fromBase64(kdf.salt);
+      const iv = fromBase64(cipher.iv);
+      const data = fromBase64(envelope.data);
+      if (typeof kdf.check !== 'string' || iv.length !== 12) {
+        throw new Error('Šifrovaná záloha je poškozená (neplatné parametry).');
+      }
+      const { key, check } = await deriveKeys(passphrase, salt, kdf.iterations);
+      if (!sameText(check, kdf.check)) return null;
+      try {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+        return new TextDecoder('utf-8', { fatal: true }).decode(plain);
+      } catch (error) {
+        throw new Error('Šifrovaná záloha byla změněna nebo je poškozená – heslo sedí, ale obsah neprošel kontrolou.');
+      }
+    }
+  };
+})();
+
+const storage = (() => {
+  function buildKey(classKey) {
+    return `${STORAGE_PREFIX}${classKey}`;
+  }
+
+  /** v1 used name-derived keys as identity; v2 gives every student a stable id */
+  function migrateV1(payload) {
+    const toId = (key) => (typeof key === 'string' ? utils.legacyId(key) : key);
+    const mapKeys = (keys) => (Array.isArray(keys) ? keys.map(toId) : keys);
+    return {
+      ...payload,
+      version: 2,
+      names: Array.isArray(payload.names)
+        ? payload.names.map((item) =>
+            item && typeof item.raw === 'string'
+              ? { ...item, key: toId(typeof item.key === 'string' ? item.key : utils.createKey(item.raw)) }
+              : item
+          )
+        : payload.names,
+      absentKeys: mapKeys(payload.absentKeys),
+      poolKeys: mapKeys(payload.poolKeys),
+      history: Array.isArray(payload.history)
+        ? payload.history.map((entry) => {
+            if (!entry || typeof entry !== 'object') return entry;
+            const migrated = { ...entry, key: toId(entry.key) };
+            if (Array.isArray(entry.present)) migrated.present = mapKeys(entry.present);
+            return migrated;
+          })
+        : payload.history,
+      teamRules: Array.isArray(payload.teamRules)
+        ? payload.teamRules.map((rule) => (rule && typeof rule === 'object' ? { ...rule, a: toId(rule.a), b: toId(rule.b) } : rule))
+        : payload.teamRules
+    };
+  }
+
+  /** MIGRATIONS[n] turns a version n payload into version n + 1 */
+  const MIGRATIONS = {
+    1: migrateV1
+  };
+
+  function migrate(payload, report) {
+    let current = payload;
+    if (current.version === undefined) {
+      report.push('version – chybí, data považována za verzi 1');
+      current = { ...current, version: 1 };
+    }
+    if (!Number.isInteger(current.version) || current.version < 1 || current.version > APP_VERSION) {
+      throw new Error(`Nepodporovaná verze souboru (podporovány verze 1–${APP_VERSION}, nalezena ${current.version}).`);
+    }
+    while (current.version < APP_VERSION) {
+      current = MIGRATIONS[current.version](current);
+    }
+    return current;
+  }
+
+  // Allowed values of the current payload's settings; sanitize() repairs the rest
+  const SETTINGS_SCHEMA = {
+    spinMs: { min: MIN_SPIN_MS, max: MAX_SPIN_MS },
+    reducedMotionMode: { values: ['auto', 'on', 'off'] },
+    theme: { values: ['auto', 'light', 'dark'] },
+    drawMode: { values: DRAW_MODES },
+    cooldown: { min: 0, max: MAX_COOLDOWN }
+  };
+  const PAYLOAD_FIELDS = ['version', 'classKey', 'names', 'absentKeys', 'poolKeys', 'history', 'teamRules', 'settings', 'rev', 'baseRevs'];
+  const SEEN_REVS_LIMIT = 30;
+  const BASE_REVS_LIMIT = 10;
+  const NAME_FIELDS = ['raw', 'key', 'tag', 'nickname', 'note'];
+  const ENTRY_FIELDS = ['key', 'ts', 'id', 'groupId', 'present', 'outcome'];
+  const ID_PATTERN = /^[a-z0-9-]+$/;
+
+  function unknownFields(object, allowed, path, report) {
+    Object.keys(object)
+      .filter((field) => !allowed.includes(field))
+      .forEach((field) => report.push(`${path}${field} – neznámé pole, vyřazeno`));
+  }
+
+  function arrayField(payload, field, report) {
+    if (payload[field] === undefined) return [];
+    if (Array.isArray(payload[field])) return payload[field];
+    report.push(`${field} – není seznam, vyřazeno`);
+    return [];
+  }
+
+  /** Optional text field: trimmed and cut to `max`; '' drops it */
+  function textField(item, field, max, path, report, collapse = true) {
+    const value = item[field];
+    if (value === undefined || value === '') return '';
+    if (typeof value !== 'string') {
+      report.push(`${path}.${field} – není text, vyřazeno`);
+      return '';
+    }
+    const normalized = collapse ? value.normalize('NFC').replace(/\s+/g, ' ').trim() : value.normalize('NFC').trim();
+    if (normalized.length > max) report.push(`${path}.${field} – delší než ${max} znaků, zkráceno`);
+    return normalized.slice(0, max);
+  }
+
+  /** Keep keys of known students, each once */
+  function knownKeys(keys, known, path, report) {
+    const valid = keys.filter((key) => known.has(key));
+    if (valid.length < keys.length) report.push(`${path} – ${keys.length - valid.length}× neznámý žák, vyřazeno`);
+    return [...new Set(valid)];
+  }
+
+  function sanitizeNames(payload, report) {
+    const names = [];
+    const seen = new Set();
+    arrayField(payload, 'names', report).forEach((item, index) => {
+      const path = `names[${index}]`;
+      if (!item || typeof item !== 'object') {
+        report.push(`${path} – není objekt, vyřazeno`);
+        return;
+      }
+      unknownFields(item, NAME_FIELDS, `${path}.`, report);
+      const raw = typeof item.raw === 'string' ? item.raw.normalize('NFC').replace(/\s+/g, ' ').trim() : '';
+      if (!raw) {
+        report.push(`${path} – chybí jméno, vyřazeno`);
+        return;
+      }
+      let key = item.key;
+      if (typeof key !== 'string' || !ID_PATTERN.test(key)) {
+        report.push(`${path}.key – chybí nebo je neplatné (${raw}), přiděleno nové`);
+        key = utils.createId();
+      }
+      if (seen.has(key)) {
+        report.push(`${path} – duplicitní ID (${raw}), vyřazeno`);
+        return;
+      }
+      seen.add(key);
+      const name = { raw, key };
+      const tag = textField(item, 'tag', MAX_TAG_LENGTH, path, report);
+      if (tag) name.tag = tag;
+      const nickname = textField(item, 'nickname', MAX_NICKNAME_LENGTH, path, report);
+      if (nickname) name.nickname = nickname;
+      const note = textField(item, 'note', MAX_STUDENT_NOTE_LENGTH, path, report, false);
+      if (note) name.note = note;
+      names.push(name);
+    });
+    return names;
+  }
+
+  /**
+   * Entries of removed students stay (their history is kept), so only the
+   * shape of each entry is checked, not whether the student still exists.
+   */
+  function sanitizeHistory(payload, report) {
+    const history = [];
+    const seen = new Set();
+    arrayField(payload, 'history', report).forEach((entry, index) => {
+      const path = `history[${index}]`;
+      if (!entry || typeof entry !== 'object') {
+        report.push(`${path} – není objekt, vyřazeno`);
+        return;
+      }
+      unknownFields(entry, ENTRY_FIELDS, `${path}.`, report);
+      if (typeof entry.key !== 'string' || !ID_PATTERN.test(entry.key)) {
+        report.push(`${path} – chybí žák, vyřazeno`);
+        return;
+      }
+      if (typeof entry.ts !== 'string' || Number.isNaN(new Date(entry.ts).getTime())) {
+        report.push(`${path} – neplatné datum, vyřazeno`);
+        return;
+      }
+      const clean = { key: entry.key, ts: entry.ts, id: entry.id };
+      if (typeof entry.id !== 'string' || !entry.id) {
+        report.push(`${path}.id – chybí, přiděleno nové`);
+        clean.id = crypto.randomUUID();
+      }
+      if (seen.has(clean.id)) {
+        report.push(`${path} – duplicitní záznam, vyřazeno`);
+        return;
+      }
+      seen.add(clean.id);
+      if (entry.groupId !== undefined) {
+        if (typeof entry.groupId === 'string' && entry.groupId) {
+          clean.groupId = entry.groupId;
+        } else {
+          report.push(`${path}.groupId – neplatné, vyřazeno`);
+        }
+      }
+      if (entry.present !== undefined) {
+        if (Array.isArray(entry.present)) {
+          clean.present = entry.present.filter((key) => typeof key === 'string');
+          if (clean.present.length < entry.present.length) report.push(`${path}.present – neplatné položky, vyřazeny`);
+        } else {
+          report.push(`${path}.present – není seznam, vyřazeno`);
+        }
+      }
+      if (entry.outcome !== undefined) {
+        const outcome = utils.sanitizeOutcome(entry.outcome);
+        const unchanged =
+          outcome &&
+          Object.keys(entry.outcome).length === Object.keys(outcome).length &&
+          Object.keys(outcome).every((field) => outcome[field] === entry.outcome[field]);
+        if (!unchanged) {
+          report.push(`${path}.outcome – ${outcome ? 'opraveno' : 'neplatné, vyřazeno'}`);
+        }
+        if (outcome) clean.outcome = outcome;
+      }
+      history.push(clean);
+    });
+    return history.sort((a, b) => (a.ts < b.ts ? 1 : a.ts > b.ts ? -1 : 0));
+  }
+
+  function sanitizeTeamRules(payload, known, report) {
+    return arrayField(payload, 'teamRules', report).flatMap((rule, index) => {
+      const path = `teamRules[${index}]`;
+      if (!rule || !known.has(rule.a) || !known.has(rule.b) || rule.a === rule.b) {
+        report.push(`${path} – neznámý žák, vyřazeno`);
+        return [];
+      }
+      if (!TEAM_RULE_TYPES.includes(rule.type)) {
+        report.push(`${path}.type – neznámý typ pravidla, vyřazeno`);
+        return [];
+      }
+      return [{ a: rule.a, b: rule.b, type: rule.type }];
+    });
+  }
+
+  function sanitizeSettings(payload, report) {
+    const settings = { ...DEFAULT_SETTINGS };
+    const stored = payload.settings ?? {};
+    if (typeof stored !== 'object' || Array.isArray(stored)) {
+      report.push('settings – není objekt, použito výchozí nastavení');
+      return settings;
+    }
+    Object.entries(stored).forEach(([field, value]) => {
+      const rule = SETTINGS_SCHEMA[field];
+      if (!rule) {
+        report.push(`settings.${field} – neznámé pole, vyřazeno`);
+      } else if (rule.values) {
+        if (rule.values.includes(value)) {
+          settings[field] = value;
+        } else {
+          report.push(`settings.${field} – neplatná hodnota „${value}“, použito „${DEFAULT_SETTINGS[field]}“`);
+        }
+      } else {
+        const number = Number(value);
+        if (!Number.isInteger(number)) {
+          report.push(`settings.${field} – není celé číslo, použito ${DEFAULT_SETTINGS[field]}`);
+          return;
+        }
+        settings[field] = Math.max(rule.min, Math.min(rule.max, number));
+        if (settings[field] !== number) {
+          report.push(`settings.${field} – hodnota ${number} mimo rozsah, opravena na ${settings[field]}`);
+        } else if (typeof value !== 'number') {
+          report.push(`settings.${field} – text „${value}“ převeden na číslo`);
+        }
+      }
+    });
+    return settings;
+  }
+
+  /** Check a migrated payload against the current schema, repairing or dropping what does not fit */
+  function sanitize(payload, report) {
+    unknownFields(payload, PAYLOAD_FIELDS, '', report);
+    let classKey = typeof payload.classKey === 'string' ? utils.normalizeClassKey(payload.classKey) : '';
+    if (!classKey) {
+      report.push(`classKey – chybí, použito „${DEFAULT_CLASS_KEY}“`);
+      classKey = DEFAULT_CLASS_KEY;
+    } else if (classKey !== payload.classKey) {
+      report.push(`classKey – upraveno na „${classKey}“`);
+    }
+    const names = sanitizeNames(payload, report);
+    const known = new Set(names.map((n) => n.key));
+    const clean = {
+      version: APP_VERSION,
+      classKey,
+      names,
+      absentKeys: knownKeys(arrayField(payload, 'absentKeys', report), known, 'absentKeys', report),
+      poolKeys: knownKeys(arrayField(payload, 'poolKeys', report), known, 'poolKeys', report),
+      history: sanitizeHistory(payload, report),
+      teamRules: sanitizeTeamRules(payload, known, report),
+      settings: sanitizeSettings(payload, report)
+    };
+    // Revision markers for merging concurrent tabs; silently dropped when odd
+    if (typeof payload.rev === 'string') clean.rev = payload.rev;
+    if (Array.isArray(payload.baseRevs)) clean.baseRevs = payload.baseRevs.filter((rev) => typeof rev === 'string');
+    return clean;
+  }
+
+  /** JSON text -> current payload; `report` collects every dropped or repaired field */
+  function parse(json, report) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Soubor obsahuje neplatnou JSON syntaxi. Zkontrolujte, zda je soubor správný.');
+    }
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new Error('Soubor neobsahuje platná JSON data (očekáván objekt).');
+    }
+    return sanitize(migrate(parsed, report), report);
+  }
+
+  // Every save gets a `rev` and the revs it descends from (`baseRevs`, newest
+  // first). heldRevs is the stored rev this tab's state of each class derives
+  // from; seenRevs keeps recent payloads so a concurrent edit from another tab
+  // can be merged against the newest version both tabs had in common.
+  const heldRevs = new Map();
+  const seenRevs = new Map();
+
+  /** Stored class; `unlessRev` skips it when the raw JSON still carries that rev, without parsing */
+  /** Stored class unless it is missing or still at `unlessRev`; throws when it cannot be read */
+  function readStored(classKey, unlessRev = null) {
+    const raw = localStorage.getItem(buildKey(classKey));
+    if (raw === null || (unlessRev && raw.includes(`"rev":"${unlessRev}"`))) return null;
+    return parse(raw, []);
+  }
+
+  function commonAncestor(payload) {
+    return (payload.baseRevs ?? []).map((rev) => seenRevs.get(rev)).find(Boolean) ?? null;
+  }
+
+  function remember(classKey, payload) {
+    if (!payload.rev) return;
+    heldRevs.set(classKey, payload.rev);
+    seenRevs.delete(payload.rev);
+    seenRevs.set(payload.rev, payload);
+    if (seenRevs.size > SEEN_REVS_LIMIT) seenRevs.delete(seenRevs.keys().next().value);
+  }
+
+  function toPayload(classKey, snapshot) {
+    return {
+      version: APP_VERSION,
+      classKey,
+      names: snapshot.names,
+      absentKeys: [...snapshot.absentKeys],
+      poolKeys: [...snapshot.poolKeys],
+      history: snapshot.history,
+      teamRules: snapshot.teamRules,
+      settings: snapshot.settings
+    };
+  }
+
+  return {
+    /**
+     * Stored class, migrated and validated; repairs are appended to `report`.
+     * Null when the class is not stored; throws when it is stored but cannot be
+     * read, e.g. saved by a newer version of the app.
+     */
+    load(classKey, report = []) {
+      const raw = localStorage.getItem(buildKey(classKey));
+      if (!raw) return null;
+      return parse(raw, report);
+    },
+    /**
+     * Store the class. When another tab wrote it since this tab last loaded or
+     * saved it, both edits are merged instead of overwritten and { payload,
+     * conflicts } is returned so the caller can show the merged state. Stored
+     * data this version cannot read is never written over.
+     */
+    save(classKey, snapshot) {
+      try {
+        const held = heldRevs.get(classKey);
+        // Every click saves; only a class another tab has written gets parsed
+        const theirs = readStored(classKey, held);
+        const merged = theirs?.rev && theirs.rev !== held ? tabMerge.merge(commonAncestor(theirs), toPayload(classKey, snapshot), theirs) : null;
+        const parent = merged ? theirs : seenRevs.get(held);
+        const payload = {
+          ...(merged ? merged.payload : toPayload(classKey, snapshot)),
+          rev: utils.createId(),
+          baseRevs: parent ? [parent.rev, ...(parent.baseRevs ?? [])].slice(0, BASE_REVS_LIMIT) : []
+        };
+        localStorage.setItem(buildKey(classKey), JSON.stringify(payload));
+        if (merged) remember(classKey, theirs);
+        remember(classKey, payload);
+        return merged;
+      } catch (error) {
+        console.error('Chyba při ukládání', error);
+        return null;
+      }
+    },
+    /** Mark a loaded payload as the version this tab's state of the class now derives from */
+    track(classKey, payload) {
+      remember(classKey, payload);
+    },
+    /**
+     * Bring this tab's `snapshot` of a class up to date after another tab wrote
+     * it. Returns null when there is nothing new; otherwise { payload, conflicts,
+     * save } where `save` means the merged result must be written back.
+     */
+    reconcile(classKey, snapshot) {
+      let theirs;
+      try {
+        theirs = readStored(classKey, heldRevs.get(classKey));
+      } catch (error) {
+        console.error('Chyba při načítání', error);
+        return null;
+      }
+      if (!theirs?.rev || theirs.rev === heldRevs.get(classKey)) return null;
+      const { payload, conflicts } = tabMerge.merge(commonAncestor(theirs), toPayload(classKey, snapshot), theirs);
+      remember(classKey, theirs);
+      const unchanged = ['names', 'absentKeys', 'poolKeys', 'history', 'teamRules', 'settings'].every((field) =>
+        tabMerge.same(payload[field], theirs[field])
+      );
+      return unchanged ? { payload: theirs, conflicts, save: false } : { payload, conflicts, save: true };
+    },
+    /** Class keys with stored data, sorted for display */
+    listClassKeys() {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i += 1) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(STORAGE_PREFIX)) keys.push(key.slice(STORAGE_PREFIX.length));
+      }
+      return keys.sort((a, b) => a.localeCompare(b, 'cs'));
+    },
+    /** Summary per stored class for the class manager */
+    listClasses() {
+      return storage.listClassKeys().map((classKey) => {
+        let payload = null;
+        try {
+          payload = storage.load(classKey);
+        } catch (error) {
+          console.error('Chyba při načítání', error);
+        }
+        return {
+          classKey,
+          count: payload ? payload.names.length : 0,
+          lastDraw: payload && payload.history.length ? payload.history[0].ts : null
+        };
+      });
+    },
+    exists(classKey) {
+      return localStorage.getItem(buildKey(classKey)) !== null;
+    },
+    remove(classKey) {
+      localStorage.removeItem(buildKey(classKey));
+      heldRevs.delete(classKey);
+    },
+    /** Class another tab renamed this tab's `classKey` to, found by the stored rev; null if none */
+    renamedTo(classKey) {
+      const held = heldRevs.get(classKey);
+      if (!held) return null;
+      return (
+        storage.listClassKeys().find((key) => {
+          let payload = null;
+          try {
+            payload = key !== classKey && readStored(key);
+          } catch (error) {
+            return false;
+          }
+          // Also when the renamed class has been saved again since
+          return payload && (payload.rev === held || (payload.baseRevs ?? []).includes(held));
+        }) ?? null
+      );
+    },
+    /** Move a class to a new key; refuses to overwrite an existing class */
+    rename(fromKey, toKey) {
+      const raw = localStorage.getItem(buildKey(fromKey));
+      if (raw === null) throw new Error(`Třída „${fromKey}“ neexistuje.`);
+      if (storage.exists(toKey)) throw new Error(`Třída „${toKey}“ už existuje.`);
+      const payload = JSON.parse(raw);
+      payload.classKey = toKey;
+      localStorage.setItem(buildKey(toKey), JSON.stringify(payload));
+      localStorage.removeItem(buildKey(fromKey));
+      if (heldRevs.has(fromKey)) heldRevs.set(toKey, heldRevs.get(fromKey));
+      heldRevs.delete(fromKey);
+    },
+    /** Copy roster, tags, team rules and settings - no attendance or history */
+    duplicate(fromKey, toKey) {
+      const payload = storage.load(fromKey);
+      if (!payload) throw new Error(`Třída „${fromKey}“ neexistuje.`);
+      if (storage.exists(toKey)) throw new Error(`Třída „${toKey}“ už existuje.`);
+      storage.save(toKey, {
+        names: payload.names,
+        absentKeys: new Set(),
+        poolKeys: new Set(),
+        history: [],
+        teamRules: payload.teamRules ?? [],
+        settings: { ...DEFAULT_SETTINGS, ...(payload.settings ?? {}) }
+      });
+    },
+    getActiveClass() {
+      try {
+        return localStorage.getItem(ACTIVE_CLASS_KEY);
+      } catch (error) {
+        return null;
+      }
+    },
+    setActiveClass(classKey) {
+      try {
+        localStorage.setItem(ACTIVE_CLASS_KEY, classKey);
+      } catch (error) {
+        console.error('Chyba při ukládání', error);
+      }
+    },
+    exportPayload(snapshot) {
+      return toPayload(snapshot.classKey, snapshot);
+    },
+    /**
+     * Validate an exported file; throws on unusable data, repairs go to
+     * `report`. Encrypted backups call `askPassphrase(retry)` until it
+     * resolves the right passphrase, or null to cancel - then null is returned.
+     */
+    async importPayload(json, report = [], askPassphrase = async () => null) {
+      let parsed = null;
+      try {
+        parsed = JSON.parse(json);
+      } catch (error) {
+        // Let parse() report the syntax error
+      }
+      if (!backupCrypto.isEncrypted(parsed)) return parse(json, report);
+      for (let retry = false; ; retry = true) {
+        const passphrase = await askPassphrase(retry);
+        if (passphrase === null) return null;
+        const text = await backupCrypto.decrypt(parsed, passphrase);
+        if (text !== null) return parse(text, report);
+      }
+    }
+  };
+})();
+
+/**
+ * Full per-class draw history in IndexedDB. The class snapshot in localStorage
+ * keeps only the RECENT_HISTORY_LIMIT newest entries. Falls back to memory when
+ * IndexedDB is unavailable (e.g. some private browsing modes).
+ */
+const historyDb = (() => {
+  const memory = new Map();
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          const store =
+            event.oldVersion < 1
+              ? request.result.createObjectStore(HISTORY_STORE, { keyPath: ['classKey', 'id'] })
+              : request.transaction.objectStore(HISTORY_STORE);
+          if (event.oldVersion < 1) store.createIndex('classTs', ['classKey', 'ts']);
+          // Student filter of the history list, paged without reading other students
+          if (event.oldVersion < 3) store.createIndex('classStudentTs', ['classKey', 'key', 'ts']);
+          if (event.oldVersion === 1) {
+            // v1 entries point at name-derived keys; rewrite them to student ids
+            const cursorRequest = store.openCursor();
+            cursorRequest.onsuccess = () => {
+              const cursor = cursorRequest.result;
+              if (!cursor) return;
+              const entry = { ...cursor.value, key: utils.legacyId(cursor.value.key) };
+              if (Array.isArray(entry.present)) entry.present = entry.present.map((key) => utils.legacyId(key));
+              cursor.update(entry);
+              cursor.continue();
+            };
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error('IndexedDB není dostupná, historie se uloží jen do paměti', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /** Range over the classTs index */
+  function classRange(classKey, from = '', to = '\uffff') {
+    return IDBKeyRange.bound([classKey, from], [classKey, to]);
+  }
+
+  /** Range over primary keys [classKey, id]; arrays sort after every string id */
+  function classKeys(classKey) {
+    return IDBKeyRange.bound([classKey, ''], [classKey, []]);
+  }
+
+  function newestFirst(entries) {
+    return entries.sort((a, b) => (a.ts < b.ts ? 1 : a.ts > b.ts ? -1 : 0));
+  }
+
+  function inRange(entry, from, to) {
+    return (!from || entry.ts >= from) && (!to || entry.ts <= to);
+  }
+
+  function stripClassKey({ classKey: _classKey, ...entry }) {
+    return entry;
+  }
+
+  async function read(classKey, from, to) {
+    const db = await open();
+    if (!db) {
+      return (memory.get(classKey) ?? []).filter((entry) => inRange(entry, from, to));
+    }
+    const tx = db.transaction(HISTORY_STORE, 'readonly');
+    const rows = await requestToPromise(tx.objectStore(HISTORY_STORE).index('classTs').getAll(classRange(classKey, from, to)));
+    return rows.map(stripClassKey);
+  }
+
+  /** Walk `range` of `index` newest first, skipping `offset` rows and reading at most `limit` */
+  function readPage(index, range, offset, limit) {
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const cursorRequest = index.openCursor(range, 'prev');
+      let skipped = offset === 0;
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || limit <= 0) {
+          resolve(entries);
+          return;
+        }
+        if (!skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+        entries.push(stripClassKey(cursor.value));
+        if (entries.length >= limit) resolve(entries);
+        else cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  /** Run `mutate(store)` in one readwrite transaction, or `fallback(list)` in memory */
+  async function write(classKey, mutate, fallback) {
+    const db = await open();
+    if (!db) {
+      memory.set(classKey, fallback(memory.get(classKey) ?? []));
+      return;
+    }
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    mutate(tx.objectStore(HISTORY_STORE));
+    await transactionDone(tx);
+  }
+
+  function deleteClass(store, classKey) {
+    store.delete(classKeys(classKey));
+  }
+
+  function mergeById(list, entries) {
+    const byId = new Map(list.map((entry) => [entry.id, entry]));
+    entries.forEach((entry) => byId.set(entry.id, entry));
+    return [...byId.values()];
+  }
+
+  return {
+    /** Insert or update entries; ids make this idempotent */
+    put(classKey, entries) {
+      return write(
+        classKey,
+        (store) => entries.forEach((entry) => store.put({ ...entry, classKey })),
+        (list) => mergeById(list, entries)
+      );
+    },
+    /** Replace the whole class history, e.g. after an import */
+    replace(classKey, entries) {
+      return write(
+        classKey,
+        (store) => {
+          deleteClass(store, classKey);
+          entries.forEach((entry) => store.put({ ...entry, classKey }));
+        },
+        () => [...entries]
+      );
+    },
+    remove(classKey, ids) {
+      const removed = new Set(ids);
+      return write(
+        classKey,
+        (store) => ids.forEach((id) => store.delete([classKey, id])),
+        (list) => list.filter((entry) => !removed.has(entry.id))
+      );
+    },
+    clear(classKey) {
+      return write(classKey, (store) => deleteClass(store, classKey), () => []);
+    },
+    /** Move every entry in one transaction so a concurrent put cannot be lost */
+    async renameClass(fromKey, toKey) {
+      const db = await open();
+      if (!db) {
+        memory.set(toKey, memory.get(fromKey) ?? []);
+        memory.delete(fromKey);
+        return;
+      }
+      const tx = db.transaction(HISTORY_STORE, 'readwrite');
+      const store = tx.objectStore(HISTORY_STORE);
+      deleteClass(store, toKey);
+      const cursorRequest = store.openCursor(classKeys(fromKey));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        store.put({ ...cursor.value, classKey: toKey });
+        cursor.delete();
+        cursor.continue();
+      };
+      await transactionDone(tx);
+    },
+    /** Move localStorage entries that predate IndexedDB into the store */
+    migrate(classKey, recent) {
+      if (!recent || !recent.length) return Promise.resolve();
+      return historyDb.put(classKey, recent);
+    },
+    /** Stored draws per student key over the whole class history */
+    async counts(classKey, keys) {
+      const db = await open();
+      if (!db) {
+        const counts = new Map(keys.map((key) => [key, 0]));
+        (memory.get(classKey) ?? []).forEach((entry) => {
+          if (counts.has(entry.key)) counts.set(entry.key, counts.get(entry.key) + 1);
+        });
+        return counts;
+      }
+      // Counting index keys never deserializes the entries
+      const index = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).index('classStudentTs');
+      const totals = await Promise.all(
+        keys.map((key) => requestToPromise(index.count(IDBKeyRange.bound([classKey, key], [classKey, key, []]))))
+      );
+      return new Map(keys.map((key, i) => [key, totals[i]]));
+    },
+    /** All entries of a class, newest first */
+    async all(classKey) {
+      return newestFirst(await read(classKey));
+    },
+    /**
+     * One page of filtered entries, newest first. `from`/`to` are ISO
+     * timestamps (inclusive), `key` limits the result to one student.
+     */
+    async query(classKey, { key = null, from = '', to = '', offset = 0, limit = HISTORY_PAGE_SIZE } = {}) {
+      const db = await open();
+      if (!db) {
+        const rows = newestFirst(await read(classKey, from, to || undefined));
+        const matching = key ? rows.filter((entry) => entry.key === key) : rows;
+        return { entries: matching.slice(offset, offset + limit), total: matching.length };
+      }
+      const store = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE);
+      const [index, range] = key
+        ? [store.index('classStudentTs'), IDBKeyRange.bound([classKey, key, from], [classKey, key, to || '\uffff'])]
+        : [store.index('classTs'), classRange(classKey, from, to || undefined)];
+      const [entries, total] = await Promise.all([readPage(index, range, offset, limit), requestToPromise(index.count(range))]);
+      return { entries, total };
+    }
+  };
+})();
+
+/**
+ * QR code encoder (byte mode, ISO/IEC 18004) so share links work without any
+ * external service. Picks the smallest version at error correction level M,
+ * falling back to L for long links, and the mask with the lowest penalty.
+ *
+ * Adapted from the QR Code generator library by Project Nayuki
+ * (https://www.nayuki.io/page/qr-code-generator-library), under this licence:
+ *
+ * Copyright (c) Project Nayuki. (MIT License)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ * - The above copyright notice and this permission notice shall be included in
+ *   all copies or substantial portions of the Software.
+ * - The Software is provided "as is", without warranty of any kind, express or
+ *   implied, including but not limited to the warranties of merchantability,
+ *   fitness for a particular purpose and noninfringement. In no event shall the
+ *   authors or copyright holders be liable for any claim, damages or other
+ *   liability, whether in an action of contract, tort or otherwise, arising from,
+ *   out of or in connection with the Software or the use or other dealings in the
+ *   Software.
+ */
+const qrCode = (() => {
+  // Per error correction level, index = version - 1
+  const ECC_CODEWORDS_PER_BLOCK = {
+    M: [10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    L: [7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  };
+  const ECC_BLOCKS = {
+    M: [1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    L: [1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+  };
+  const FORMAT_BITS = { M: 0, L: 1 };
+  const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+  function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const alignCount = Math.floor(version / 7) + 2;
+      result -= (25 * alignCount - 10) * alignCount - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function dataCodewords(version, level) {
+    return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[level][version - 1] * ECC_BLOCKS[level][version - 1];
+  }
+
+  function alignmentPositions(version, size) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+    return positions;
+  }
+
+  // GF(2^8) with the QR polynomial 0x11D
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i -= 1) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i += 1) {
+      for (let j = 0; j < degree; j += 1) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach((byte) => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= gfMultiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  /** Data codewords split into blocks, error correction added, then interleaved */
+  function interleave(data, version, level) {
+    const blockCount = ECC_BLOCKS[level][version - 1];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version - 1];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - (rawCodewords % blockCount);
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = rsDivisor(eccLength);
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i += 1) {
+      const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+      k += block.length;
+      const ecc = rsRemainder(block, divisor);
+      if (i < shortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i += 1) {
+      blocks.forEach((block, j) => {
+        // Skip the padding byte of short blocks
+        if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    for (let i = 0; i < size; i += 1) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4]
+    ].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy += 1) {
+        for (let dx = -4; dx <= 4; dx += 1) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+    const positions = alignmentPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // The three corners are taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy += 1) {
+          for (let dx = -2; dx <= 2; dx += 1) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      });
+    });
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i += 1) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i += 1) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, getBit(bits, i));
+        set(b, a, getBit(bits, i));
+      }
+    }
+    return { size, modules, reserved, set };
+  }
+
+  function drawFormat(matrix, level, mask) {
+    const { size, set } = matrix;
+    const data = (FORMAT_BITS[level] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i += 1) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    for (let i = 0; i <= 5; i += 1) set(8, i, getBit(bits, i));
+    set(8, 7, getBit(bits, 6));
+    set(8, 8, getBit(bits, 7));
+    set(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i += 1) set(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i += 1) set(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i += 1) set(8, size - 15 + i, getBit(bits, i));
+    set(8, size - 8, true);
+  }
+
+  function drawCodewords(matrix, codewords) {
+    const { size, modules, reserved } = matrix;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert += 1) {
+        for (let j = 0; j < 2; j += 1) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!reserved[y][x] && i < codewords.length * 8) {
+            modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i += 1;
+          }
+        }
+      }
+    }
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+  ];
+
+  function applyMask(matrix, mask) {
+    const { size, modules, reserved } = matrix;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  /** Standard penalty: long runs, 2×2 blocks, finder look-alikes and dark/light balance */
+  function penalty({ size, modules }) {
+    let score = 0;
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    const lines = [];
+    for (let i = 0; i < size; i += 1) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+    lines.forEach((line) => {
+      let run = 1;
+      for (let i = 1; i <= size; i += 1) {
+        if (i < size && line[i] === line[i - 1]) {
+          run += 1;
+        } else {
+          if (run >= 5) score += 3 + run - 5;
+          run = 1;
+        }
+      }
+      for (let i = 0; i + 11 <= size; i += 1) {
+        if (finderLike.some((pattern) => pattern.every((dark, k) => line[i + k] === dark))) score += 40;
+      }
+    });
+    let dark = 0;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (modules[y][x]) dark += 1;
+        if (x + 1 < size && y + 1 < size) {
+          const color = modules[y][x];
+          if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  return {
+    /** { size, modules } where modules[y][x] is true for dark; throws when the text is too long */
+    encode(text) {
+      const bytes = [...new TextEncoder().encode(text)];
+      let version = 0;
+      let level = null;
+      for (const candidate of ['M', 'L']) {
+        for (let v = 1; v <= 40 && !level; v += 1) {
+          const countBits = v <= 9 ? 8 : 16;
+          if (bytes.length < 2 ** countBits && 4 + countBits + bytes.length * 8 <= dataCodewords(v, candidate) * 8) {
+            version = v;
+            level = candidate;
+          }
+        }
+        if (level) break;
+      }
+      if (!level) throw new Error('Odkaz je příliš dlouhý pro QR kód.');
+      const capacity = dataCodewords(version, level) * 8;
+      const bits = [];
+      const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1);
+      };
+      push(0b0100, 4);
+      push(bytes.length, version <= 9 ? 8 : 16);
+      bytes.forEach((byte) => push(byte, 8));
+      push(0, Math.min(4, capacity - bits.length));
+      push(0, (8 - (bits.length % 8)) % 8);
+      for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+      const data = [];
+      for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+      const codewords = interleave(data, version, level);
+      let best = null;
+      for (let mask = 0; mask < MASKS.length; mask += 1) {
+        const matrix = createMatrix(version);
+        drawFormat(matrix, level, mask);
+        drawCodewords(matrix, codewords);
+        applyMask(matrix, mask);
+        const score = penalty(matrix);
+        if (!best || score < best.score) best = { score, matrix };
+      }
+      return { size: best.matrix.size, modules: best.matrix.modules };
+    }
+  };
+})();
+
+/**
+ * Class rosters shared as a link. Names (and optionally settings) go as JSON,
+ * deflated and base64url-encoded, into the URL fragment, which browsers never
+ * send to the server. History, attendance and notes are never included.
+ */
+const rosterShare = (() => {
+  const PREFIX = '#share=';
+  const SHARE_VERSION = 1;
+
+  async function pipe(bytes, transform) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(transform));
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  }
+
+  return {
+    isShareLink(hash) {
+      return hash.startsWith(PREFIX);
+    },
+    /** Link to this app carrying the roster; 'z' marks deflate-raw, 'j' plain JSON */
+    async createLink(snapshot, includeSettings) {
+      const data = {
+        v: SHARE_VERSION,
+        c: snapshot.classKey,
+        n: snapshot.names.map((n) => (n.nickname ? [n.raw, n.nickname] : n.raw))
+      };
+      if (includeSettings) data.s = snapshot.settings;
+      const bytes = new TextEncoder().encode(JSON.stringify(data));
+      const packed =
+        typeof CompressionStream === 'function'
+          ? `z${toBase64Url(await pipe(bytes, new CompressionStream('deflate-raw')))}`
+          : `j${toBase64Url(bytes)}`;
+      return `${window.location.origin}${window.location.pathname}${PREFIX}${packed}`;
+    },
+    /**
+     * Roster from a link fragment as a class payload, validated like an
+     * imported file. `settings` are used when the link carries none.
+     */
+    async parse(hash, settings, report = []) {
+      const packed = hash.slice(PREFIX.length);
+      let data;
+      try {
+        const bytes = fromBase64Url(packed.slice(1));
+        let json;
+        if (packed[0] === 'z') {
+          json = await pipe(bytes, new DecompressionStream('deflate-raw'));
+        } else if (packed[0] === 'j') {
+          json = bytes;
+        } else {
+          throw new Error('unknown encoding');
+        }
+        data = JSON.parse(new TextDecoder().decode(json));
+      } catch (error) {
+        throw new Error('Odkaz je poškozený nebo neúplný. Zkopírujte ho prosím celý.');
+      }
+      if (!data || data.v !== SHARE_VERSION || !Array.isArray(data.n)) {
+        throw new Error('Odkaz nepochází z této aplikace, nebo z její novější verze.');
+      }
+      const payload = {
+        version: APP_VERSION,
+        classKey: data.c,
+        names: data.n.map((entry) => {
+          const [raw, nickname] = Array.isArray(entry) ? entry : [entry];
+          return nickname ? { raw, key: utils.createId(), nickname } : { raw, key: utils.createId() };
+        }),
+        absentKeys: [],
+        poolKeys: [],
+        history: [],
+        teamRules: [],
+        settings: data.s ?? settings
+      };
+      return storage.importPayload(JSON.stringify(payload), report);
+    }
+  };
+})();
+
+const render = (() => {
+  const namesList = document.getElementById('namesList');
+  const shareQr = document.getElementById('shareQr');
+  const winnerStatus = document.getElementById('winnerStatus');
+  const historyList = document.getElementById('historyList');
+  const historyCount = document.getElementById('historyCount');
+  const historyMoreBtn = document.getElementById('historyMoreBtn');
+  const historyStudent = document.getElementById('historyStudent');
+  const highlightList = document.getElementById('highlightList');
+  const roundStatus = document.getElementById('roundStatus');
+  const teamsGrid = document.getElementById('teamsGrid');
+  const teamRulesList = document.getElementById('teamRulesList');
+  const teamTagsList = document.getElementById('teamTagsList');
+  const outcomePanel = document.getElementById('outcomePanel');
+  let outcomeIds = '';
+  const csvFieldSelects = document.querySelectorAll('[data-csv-field]');
+  const csvClassValue = document.getElementById('csvClassValue');
+  const csvPreviewHead = document.getElementById('csvPreviewHead');
+  const csvPreviewBody = document.getElementById('csvPreviewBody');
+  const printReport = document.getElementById('printReport');
+  const importPreview = document.getElementById('importPreview');
+  const ocrReviewBody = document.getElementById('ocrReviewBody');
+  const reportClassList = document.getElementById('reportClassList');
+  const statsSummary = document.getElementById('statsSummary');
+  const statsTableBody = document.getElementById('statsTableBody');
+  const classSelect = document.getElementById('classKey');
+  const classTableBody = document.getElementById('classTableBody');
+  const teamRuleSelects = [document.getElementById('teamRuleA'), document.getElementById('teamRuleB')];
+
+  const ICON_BUTTON =
+    'shrink-0 rounded px-1.5 py-0.5 text-sm transition hover:bg-slate-100 focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60 dark:hover:bg-slate-800';
+  const FIELD =
+    'w-full rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm shadow-sm focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60 dark:border-slate-600 dark:bg-slate-900';
+
+  function createIconButton(action, icon, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = ICON_BUTTON;
+    button.dataset.action = action;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.textContent = icon;
+    return button;
+  }
+
+  function createEditField(labelText, field, control) {
+    const label = document.createElement('label');
+    label.className = 'flex flex-col gap-1 text-xs text-slate-500 dark:text-slate-400';
+    label.textContent = labelText;
+    control.className = FIELD;
+    control.dataset.field = field;
+    label.appendChild(control);
+    return label;
+  }
+
+  /** Inline form replacing a names list row while the student is edited */
+  function createNameEditor(name) {
+    const form = document.createElement('form');
+    form.className = 'flex w-full flex-col gap-2';
+    form.dataset.key = name.key;
+    const raw = document.createElement('input');
+    raw.value = name.raw;
+    raw.required = true;
+    const nickname = document.createElement('input');
+    nickname.value = name.nickname ?? '';
+    nickname.maxLength = MAX_NICKNAME_LENGTH;
+    nickname.placeholder = 'Zobrazí se na kole místo jména';
+    const note = document.createElement('textarea');
+    note.value = name.note ?? '';
+    note.rows = 2;
+    note.maxLength = MAX_STUDENT_NOTE_LENGTH;
+    note.placeholder = 'Vidíte jen vy, nikde se nezobrazuje';
+    const buttons = document.createElement('div');
+    buttons.className = 'flex justify-end gap-2';
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.dataset.action = 'cancel';
+    cancel.className = 'rounded-lg px-3 py-1 text-sm font-medium shadow-sm transition hover:opacity-90 focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60';
+    cancel.textContent = 'Zrušit';
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'rounded-lg bg-accent px-3 py-1 text-sm font-medium text-white shadow-sm transition hover:opacity-90 focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60';
+    save.textContent = 'Uložit';
+    buttons.append(cancel, save);
+    form.append(
+      createEditField('Jméno', 'raw', raw),
+      createEditField('Přezdívka (nepovinná)', 'nickname', nickname),
+      createEditField('Soukromá poznámka', 'note', note),
+      buttons
+    );
+    return form;
+  }
+
+  function renderNames(names, absentKeys, cooling = new Map(), selectedKey = null, editingKey = null) {
+    namesList.textContent = '';
+    if (!names.length) {
+      const li = document.createElement('li');
+      li.className = 'rounded-lg border border-dashed border-slate-300 bg-slate-50 px-3 py-2 text-sm text-slate-600 dark:border-slate-600 dark:bg-slate-900 dark:text-slate-300';
+      li.textContent = 'Zatím nebyla přidána žádná jména.';
+      namesList.appendChild(li);
+      return;
+    }
+    names.forEach((name) => {
+      const li = document.createElement('li');
+      li.className = 'flex items-center justify-between gap-3 rounded-lg border border-slate-200 bg-white px-3 py-2 shadow-sm dark:border-slate-700 dark:bg-slate-900';
+      li.dataset.key = name.key;
+      if (name.key === editingKey) {
+        li.appendChild(createNameEditor(name));
+        namesList.appendChild(li);
+        return;
+      }
+      const label = document.createElement('label');
+      label.className = 'flex flex-1 items-center gap-3 text-sm';
+      label.setAttribute('for', `absent-${name.key}`);
+      const span = document.createElement('span');
+      span.className = 'truncate font-medium';
+      span.textContent = name.nickname ? `${name.raw} (${name.nickname})` : name.raw;
+      span.title = name.raw;
+      if (selectedKey && selectedKey === name.key) {
+        span.classList.add('text-accent');
+      }
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'h-4 w-4 rounded border-slate-300 text-accent focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60 dark:border-slate-600';
+      checkbox.id = `absent-${name.key}`;
+      checkbox.checked = absentKeys.has(name.key);
+      checkbox.dataset.key = name.key;
+      label.appendChild(checkbox);
+      label.appendChild(span);
+      const remaining = cooling.get(name.key);
+      if (remaining) {
+        li.classList.add('opacity-60');
+        const badge = document.createElement('span');
+        badge.className = 'shrink-0 rounded bg-slate-200 px-1.5 text-[11px] text-slate-600 dark:bg-slate-700 dark:text-slate-300';
+        badge.textContent = `⏳ ${remaining}`;
+        badge.title = `Znovu v losování za ${remaining} los.`;
+        label.appendChild(badge);
+      }
+      const status = document.createElement('span');
+      status.className = 'text-xs text-slate-500 dark:text-slate-400';
+      status.textContent = checkbox.checked ? 'Nepřítomen' : 'Přítomen';
+      li.appendChild(label);
+      if (name.note) {
+        const noteMark = document.createElement('span');
+        noteMark.className = 'shrink-0 text-sm';
+        noteMark.textContent = '📝';
+        noteMark.title = 'Má soukromou poznámku';
+        noteMark.setAttribute('aria-label', 'Má soukromou poznámku');
+        li.appendChild(noteMark);
+      }
+      li.appendChild(status);
+      li.appendChild(createIconButton('edit', '✏️', `Upravit žáka ${name.raw}`));
+      li.appendChild(createIconButton('delete', '🗑️', `Odebrat žáka ${name.raw}`));
+      namesList.appendChild(li);
+    });
+  }
+
+  function renderWinner(names) {
+    winnerStatus.textContent = names.map(utils.displayName).join(', ');
+  }
+
+  function renderRound(remaining, total, active) {
+    roundStatus.classList.toggle('hidden', !active);
+    roundStatus.textContent = active ? `V tomto kole zbývá ${remaining} z ${total} přítomných.` : '';
+  }
+
+  /** Loaded history page(s); `total` is the number of entries matching the filter */
+  function renderHistory(history, namesMap, total = history.length) {
+    historyList.textContent = '';
+    historyCount.textContent = total ? `Zobrazeno ${history.length} z ${total} záznamů.` : '';
+    historyMoreBtn.classList.toggle('hidden', history.length >= total);
+    if (!history.length) {
+      const li = document.createElement('li');
+      li.className = 'text-sm text-slate-500 dark:text-slate-400';
+      li.textContent = total ? 'Žádný záznam neodpovídá filtru.' : 'Historie je prázdná.';
+      historyList.appendChild(li);
+      return;
+    }
+    utils.groupHistory(history).forEach((group) => {
+      const li = document.createElement('li');
+      li.className = 'rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm shadow-sm dark:border-slate-700 dark:bg-slate-900';
+      const text = group
+        .map((entry) => {
+          const name = namesMap.get(entry.key);
+          const label = name ? name.raw : entry.key;
+          const outcome = utils.formatOutcome(entry.outcome);
+          const note = entry.outcome?.note ? ` – ${entry.outcome.note}` : '';
+          return outcome ? `${label} (${outcome})${note}` : `${label}${note}`;
+        })
+        .join('; ');
+      const ts = utils.formatTimestamp(group[0].ts);
+      li.textContent = ts ? `${ts} · ${text}` : text;
+      li.title = text;
+      historyList.appendChild(li);
+    });
+  }
+
+  function renderHistoryFilter(names) {
+    const previous = historyStudent.value;
+    historyStudent.textContent = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'Všichni žáci';
+    historyStudent.appendChild(all);
+    names.forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name.key;
+      option.textContent = name.raw;
+      historyStudent.appendChild(option);
+    });
+    historyStudent.value = names.some((n) => n.key === previous) ? previous : '';
+  }
+
+  function renderHighlightList(names) {
+    highlightList.textContent = '';
+    names.forEach((name) => {
+      const li = document.createElement('li');
+      li.textContent = utils.displayName(name);
+      li.dataset.key = name.key;
+      li.className = 'rounded px-2 py-1 text-slate-600 dark:text-slate-300';
+      highlightList.appendChild(li);
+    });
+  }
+
+  function highlightResult(keys) {
+    const selected = new Set(keys);
+    highlightList.querySelectorAll('[data-key]').forEach((el) => {
+      if (selected.has(el.dataset.key)) {
+        el.classList.add('bg-accent/20', 'text-accent');
+      } else {
+        el.classList.remove('bg-accent/20', 'text-accent');
+      }
+    });
+    namesList.querySelectorAll('li').forEach((li) => {
+      const span = li.querySelector('span.truncate');
+      if (!span) return;
+      if (selected.has(li.dataset.key)) {
+        span.classList.add('text-accent');
+      } else {
+        span.classList.remove('text-accent');
+      }
+    });
+  }
+
+  function renderTeams(result) {
+    teamsGrid.textContent = '';
+    result.forEach((members, index) => {
+      const card = document.createElement('div');
+      card.className = 'rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm shadow-sm dark:border-slate-700 dark:bg-slate-900';
+      const heading = document.createElement('p');
+      heading.className = 'font-semibold';
+      heading.textContent = `Tým ${index + 1} (${members.length})`;
+      const list = document.createElement('ul');
+      list.className = 'mt-1 space-y-0.5';
+      members.forEach((name) => {
+        const li = document.createElement('li');
+        li.textContent = name.tag ? `${name.raw} · ${name.tag}` : name.raw;
+        list.appendChild(li);
+      });
+      card.appendChild(heading);
+      card.appendChild(list);
+      teamsGrid.appendChild(card);
+    });
+  }
+
+  function renderTeamRules(rules, namesMap) {
+    teamRulesList.textContent = '';
+    rules.forEach((rule, index) => {
+      const li = document.createElement('li');
+      li.className = 'flex items-center justify-between gap-2 text-sm';
+      const text = document.createElement('span');
+      const a = namesMap.get(rule.a)?.raw ?? rule.a;
+      const b = namesMap.get(rule.b)?.raw ?? rule.b;
+      text.textContent = `${a} ${rule.type === 'apart' ? '≠' : '+'} ${b}`;
+      text.title = rule.type === 'apart' ? 'Nesmí být spolu' : 'Musí být spolu';
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'rounded px-2 text-slate-500 hover:text-rose-600 focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60';
+      remove.dataset.ruleIndex = String(index);
+      remove.setAttribute('aria-label', `Odebrat pravidlo ${text.textContent}`);
+      remove.textContent = '✕';
+      li.appendChild(text);
+      li.appendChild(remove);
+      teamRulesList.appendChild(li);
+    });
+  }
+
+  function renderTeamOptions(names) {
+    teamRuleSelects.forEach((select) => {
+      const previous = select.value;
+      select.textContent = '';
+      names.forEach((name) => {
+        const option = document.createElement('option');
+        option.value = name.key;
+        option.textContent = name.raw;
+        select.appendChild(option);
+      });
+      if (names.some((n) => n.key === previous)) select.value = previous;
+    });
+    teamTagsList.textContent = '';
+    names.forEach((name) => {
+      const li = document.createElement('li');
+      li.className = 'flex items-center justify-between gap-2 text-sm';
+      const label = document.createElement('label');
+      label.className = 'truncate';
+      label.setAttribute('for', `tag-${name.key}`);
+      label.textContent = name.raw;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.id = `tag-${name.key}`;
+      input.dataset.key = name.key;
+      input.maxLength = MAX_TAG_LENGTH;
+      input.value = name.tag ?? '';
+      input.placeholder = 'štítek';
+      input.className = 'w-28 rounded border border-slate-300 bg-white px-2 py-1 text-sm dark:border-slate-600 dark:bg-slate-900';
+      li.appendChild(label);
+      li.appendChild(input);
+      teamTagsList.appendChild(li);
+    });
+  }
+
+  function renderClassOptions(classKeys, currentKey) {
+    const keys = classKeys.includes(currentKey) ? classKeys : [...classKeys, currentKey].sort((a, b) => a.localeCompare(b, 'cs'));
+    classSelect.textContent = '';
+    keys.forEach((key) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = key;
+      classSelect.appendChild(option);
+    });
+    const create = document.createElement('option');
+    create.value = NEW_CLASS_OPTION;
+    create.textContent = '➕ Nová třída…';
+    classSelect.appendChild(create);
+    classSelect.value = currentKey;
+  }
+
+  function renderClassTable(classes, currentKey) {
+    classTableBody.textContent = '';
+    classes.forEach((item) => {
+      const tr = document.createElement('tr');
+      tr.className = 'border-t border-slate-200 dark:border-slate-700';
+      tr.dataset.classKey = item.classKey;
+      const nameCell = document.createElement('td');
+      nameCell.className = 'py-2 pr-3 font-medium';
+      nameCell.textContent = item.classKey === currentKey ? `${item.classKey} (aktuální)` : item.classKey;
+      const countCell = document.createElement('td');
+      countCell.className = 'py-2 pr-3 tabular-nums';
+      countCell.textContent = String(item.count);
+      const drawCell = document.createElement('td');
+      drawCell.className = 'py-2 pr-3 text-slate-500 dark:text-slate-400';
+      drawCell.textContent = item.lastDraw ? utils.formatTimestamp(item.lastDraw) : '–';
+      const actionsCell = document.createElement('td');
+      actionsCell.className = 'flex flex-wrap gap-1 py-2';
+      [
+        ['switch', 'Přepnout'],
+        ['rename', 'Přejmenovat'],
+        ['duplicate', 'Duplikovat'],
+        ['delete', 'Smazat']
+      ].forEach(([action, text]) => {
+        if (action === 'switch' && item.classKey === currentKey) return;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action;
+        button.className = 'rounded px-2 py-1 text-xs font-medium shadow-sm transition hover:opacity-90 focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60';
+        if (action === 'delete') button.classList.add('text-rose-600');
+        button.textContent = text;
+        actionsCell.appendChild(button);
+      });
+      tr.appendChild(nameCell);
+      tr.appendChild(countCell);
+      tr.appendChild(drawCell);
+      tr.appendChild(actionsCell);
+      classTableBody.appendChild(tr);
+    });
+  }
+
+  function createOutcomeRow(entry, name) {
+    const row = document.createElement('div');
+    row.className = 'flex flex-wrap items-center gap-2 text-sm';
+    row.dataset.entryId = entry.id;
+    const label = document.createElement('span');
+    label.className = 'min-w-[6rem] font-medium';
+    label.textContent = name ? name.raw : entry.key;
+    row.appendChild(label);
+    const group = document.createElement('div');
+    group.className = 'inline-flex gap-1';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', `Výsledek – ${label.textContent}`);
+    [
+      ['correct', '✓', 'Správně'],
+      ['incorrect', '✗', 'Špatně'],
+      ['skipped', '⏭', 'Přeskočeno']
+    ].forEach(([status, icon, text]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.status = status;
+      button.className = 'rounded px-2 py-1 shadow-sm transition hover:opacity-90 focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60 aria-pressed:bg-accent aria-pressed:text-white';
+      button.textContent = icon;
+      button.title = text;
+      button.setAttribute('aria-label', text);
+      group.appendChild(button);
+    });
+    row.appendChild(group);
+    const grade = document.createElement('select');
+    grade.dataset.field = 'grade';
+    grade.setAttribute('aria-label', 'Známka');
+    grade.className = 'rounded border border-slate-300 bg-white px-2 py-1 text-sm dark:border-slate-600 dark:bg-slate-900';
+    ['', '1', '2', '3', '4', '5'].forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value || 'Známka';
+      grade.appendChild(option);
+    });
+    row.appendChild(grade);
+    const points = document.createElement('input');
+    points.type = 'number';
+    points.step = '0.5';
+    points.dataset.field = 'points';
+    points.placeholder = 'Body ±';
+    points.setAttribute('aria-label', 'Body');
+    points.className = 'w-20 rounded border border-slate-300 bg-white px-2 py-1 text-sm dark:border-slate-600 dark:bg-slate-900';
+    row.appendChild(points);
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.maxLength = MAX_NOTE_LENGTH;
+    note.dataset.field = 'note';
+    note.placeholder = 'Poznámka';
+    note.setAttribute('aria-label', 'Poznámka');
+    note.className = 'min-w-[8rem] flex-1 rounded border border-slate-300 bg-white px-2 py-1 text-sm dark:border-slate-600 dark:bg-slate-900';
+    row.appendChild(note);
+    return row;
+  }
+
+  function syncOutcomeRow(row, outcome) {
+    row.querySelectorAll('button[data-status]').forEach((button) => {
+      button.setAttribute('aria-pressed', String(outcome?.status === button.dataset.status));
+    });
+    row.querySelector('[data-field="grade"]').value = outcome?.grade ? String(outcome.grade) : '';
+    row.querySelector('[data-field="points"]').value = outcome?.points ?? '';
+    row.querySelector('[data-field="note"]').value = outcome?.note ?? '';
+  }
+
+  /** Outcome controls for the latest winners; rebuilt only when the entries change */
+  function renderOutcomes(entries, namesMap) {
+    outcomePanel.classList.toggle('hidden', !entries.length);
+    const ids = entries.map((entry) => entry.id).join(',');
+    if (ids !== outcomeIds) {
+      outcomeIds = ids;
+      outcomePanel.textContent = '';
+      entries.forEach((entry) => outcomePanel.appendChild(createOutcomeRow(entry, namesMap.get(entry.key))));
+    }
+    entries.forEach((entry) => {
+      const row = outcomePanel.querySelector(`[data-entry-id="${CSS.escape(entry.id)}"]`);
+      if (row) syncOutcomeRow(row, entry.outcome);
+    });
+  }
+
+  /** Fill the column mapping selects; `mapping` holds the column index per field */
+  function renderCsvColumns(labels, mapping) {
+    csvFieldSelects.forEach((select) => {
+      select.textContent = '';
+      const none = document.createElement('option');
+      none.value = '-1';
+      none.textContent = '—';
+      select.appendChild(none);
+      labels.forEach((label, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = String(mapping[select.dataset.csvField] ?? -1);
+    });
+  }
+
+  function renderCsvClassValues(values, selected) {
+    csvClassValue.textContent = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'Všechny řádky';
+    csvClassValue.appendChild(all);
+    values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      csvClassValue.appendChild(option);
+    });
+    csvClassValue.value = values.includes(selected) ? selected : '';
+  }
+
+  /** Preview of the first rows with the resulting name; filtered-out rows are dimmed */
+  function renderCsvPreview(labels, rows, names) {
+    csvPreviewHead.textContent = '';
+    const headRow = document.createElement('tr');
+    [...labels, 'Výsledné jméno'].forEach((label) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.className = 'pb-2 pr-3 font-medium';
+      th.textContent = label;
+      headRow.appendChild(th);
+    });
+    csvPreviewHead.appendChild(headRow);
+    csvPreviewBody.textContent = '';
+    rows.forEach((row, index) => {
+      const tr = document.createElement('tr');
+      tr.className = 'border-t border-slate-200 dark:border-slate-700';
+      if (!names[index]) tr.classList.add('opacity-40');
+      [...labels.map((_, column) => row[column] ?? ''), names[index] || '–'].forEach((text, column) => {
+        const td = document.createElement('td');
+        td.className = column === labels.length ? 'py-1 pr-3 font-medium' : 'py-1 pr-3';
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      csvPreviewBody.appendChild(tr);
+    });
+  }
+
+  function describeOcrFlag(flag) {
+    return [flag.reason, flag.duplicate].filter(Boolean).join(' · ');
+  }
+
+  /** OCR review rows: [{ text, confidence, include }] with matching flags */
+  function renderOcrReview(lines, flags) {
+    ocrReviewBody.textContent = '';
+    lines.forEach((line, index) => {
+      const tr = document.createElement('tr');
+      tr.className = 'border-t border-slate-200 dark:border-slate-700';
+      tr.dataset.index = String(index);
+      const includeCell = document.createElement('td');
+      includeCell.className = 'py-1 pr-2';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = line.include;
+      checkbox.dataset.field = 'include';
+      checkbox.className = 'h-4 w-4 rounded border-slate-300 text-accent dark:border-slate-600';
+      checkbox.setAttribute('aria-label', `Přidat řádek ${index + 1}`);
+      includeCell.appendChild(checkbox);
+      const textCell = document.createElement('td');
+      textCell.className = 'py-1 pr-2';
+      const input = document.createElement('input');
+      input.value = line.text;
+      input.dataset.field = 'text';
+      input.className =
+        'w-full rounded border border-slate-300 bg-white px-2 py-0.5 text-sm focus-visible:outline-none focus-visible:ring focus-visible:ring-accent/60 dark:border-slate-600 dark:bg-slate-900';
+      input.setAttribute('aria-label', `Text řádku ${index + 1}`);
+      textCell.appendChild(input);
+      const confidenceCell = document.createElement('td');
+      confidenceCell.className = 'py-1 pr-2 text-right tabular-nums';
+      if (line.confidence === null) {
+        confidenceCell.textContent = '–';
+      } else {
+        confidenceCell.textContent = `${Math.round(line.confidence)} %`;
+        if (line.confidence < ocrReview.LOW_CONFIDENCE) {
+          confidenceCell.classList.add('text-rose-600');
+          confidenceCell.title = 'Nízká jistota rozpoznání – zkontrolujte text';
+        }
+      }
+      const flagCell = document.createElement('td');
+      flagCell.className = 'py-1 text-xs text-amber-700 dark:text-amber-400';
+      flagCell.dataset.field = 'flag';
+      flagCell.textContent = describeOcrFlag(flags[index]);
+      tr.append(includeCell, textCell, confidenceCell, flagCell);
+      ocrReviewBody.appendChild(tr);
+    });
+  }
+
+  /** Refresh flag texts after edits without rebuilding the inputs */
+  function syncOcrFlags(flags) {
+    ocrReviewBody.querySelectorAll('tr').forEach((tr, index) => {
+      tr.querySelector('[data-field="flag"]').textContent = describeOcrFlag(flags[index]);
+    });
+  }
+
+  /** QR code as SVG with the standard four-module quiet zone; null clears it */
+  function renderQrCode(qr) {
+    shareQr.textContent = '';
+    shareQr.classList.toggle('hidden', !qr);
+    if (!qr) return;
+    const quiet = 4;
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('viewBox', `0 0 ${qr.size + quiet * 2} ${qr.size + quiet * 2}`);
+    svg.setAttribute('class', 'h-full w-full');
+    svg.setAttribute('shape-rendering', 'crispEdges');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', 'QR kód s odkazem na seznam třídy');
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', '#fff');
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    let d = '';
+    qr.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) d += `M${x + quiet} ${y + quiet}h1v1h-1z`;
+      });
+    });
+    path.setAttribute('d', d);
+    path.setAttribute('fill', '#000');
+    svg.append(background, path);
+    shareQr.appendChild(svg);
+  }
+
+  function createPreviewSection(title, items, emptyText) {
+    const section = document.createElement('section');
+    const heading = document.createElement('h3');
+    heading.className = 'text-sm font-semibold';
+    heading.textContent = `${title} (${items.length})`;
+    section.appendChild(heading);
+    if (!items.length) {
+      const empty = document.createElement('p');
+      empty.className = 'text-xs text-slate-500 dark:text-slate-400';
+      empty.textContent = emptyText;
+      section.appendChild(empty);
+      return section;
+    }
+    const list = document.createElement('ul');
+    list.className = 'mt-1 max-h-32 list-disc overflow-y-auto pl-5 text-sm';
+    items.forEach((text) => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      list.appendChild(li);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  /** Differences between the current class and an imported file, plus repairs made while reading it */
+  function renderImportPreview(diff, report) {
+    importPreview.textContent = '';
+    const history = document.createElement('p');
+    history.className = 'text-sm';
+    history.textContent =
+      `Historie: soubor obsahuje ${diff.history.incoming} záznamů, z toho ${diff.history.fresh} nových. ` +
+      `Třída teď má ${diff.history.current} záznamů.`;
+    importPreview.append(
+      createPreviewSection('Noví žáci', diff.added.map((n) => n.raw), 'Žádní noví žáci.'),
+      createPreviewSection('Přejmenovaní žáci', diff.renamed.map(({ from, to }) => `${from} → ${to}`), 'Žádná přejmenování.'),
+      createPreviewSection('Žáci, kteří v souboru chybí – při nahrazení budou odebráni', diff.removed.map((n) => n.raw), 'Nikdo.'),
+      history,
+      createPreviewSection(
+        'Změny nastavení – jen při nahrazení',
+        diff.settings.map(({ field, from, to }) => `${importMerge.SETTING_LABELS[field]}: ${from} → ${to}`),
+        'Nastavení je stejné.'
+      )
+    );
+    if (report.length) {
+      importPreview.appendChild(createPreviewSection('Opravy dat ze souboru', report, ''));
+    }
+  }
+
+  function createReportTable(header, rows) {
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    header.forEach((text) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    const tbody = document.createElement('tbody');
+    rows.forEach((cells) => {
+      const tr = document.createElement('tr');
+      cells.forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(thead);
+    table.appendChild(tbody);
+    return table;
+  }
+
+  /** Printable report, one page per class: { classKey, period, summary, history } */
+  function renderPrintReport(pages) {
+    printReport.textContent = '';
+    pages.forEach((page) => {
+      const section = document.createElement('section');
+      section.className = 'report-page';
+      const heading = document.createElement('h1');
+      heading.textContent = `Třída ${page.classKey}`;
+      const period = document.createElement('p');
+      period.textContent = `Období: ${page.period} · počet losování: ${page.summary.total}`;
+      const summaryHeading = document.createElement('h2');
+      summaryHeading.textContent = 'Souhrn podle žáků';
+      const summaryTable = createReportTable(
+        ['Žák', 'Vylosován', 'Přítomen', 'Naposledy', 'Podíl', 'Očekáváno', '✓', '✗', '⏭', 'Ø známka', 'Body'],
+        reports.summaryRows(page.summary).map((row) => [
+          row.name,
+          row.drawn,
+          row.present,
+          row.lastDrawn,
+          row.share,
+          row.expectedShare,
+          row.correct,
+          row.incorrect,
+          row.skipped,
+          row.averageGrade,
+          row.points
+        ])
+      );
+      const historyHeading = document.createElement('h2');
+      historyHeading.textContent = 'Historie losování';
+      const historyTable = createReportTable(
+        ['Datum', 'Čas', 'Žák', 'Výsledek', 'Známka', 'Body', 'Poznámka'],
+        page.history.map((row) => [row.date, row.time, row.name, row.status, row.grade, row.points, row.note])
+      );
+      section.append(heading, period, summaryHeading, summaryTable, historyHeading, historyTable);
+      printReport.appendChild(section);
+    });
+  }
+
+  function renderReportClasses(classKeys, currentKey) {
+    reportClassList.textContent = '';
+    classKeys.forEach((key) => {
+      const label = document.createElement('label');
+      label.className = 'flex items-center gap-2 text-sm';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = key;
+      checkbox.checked = key === currentKey;
+      checkbox.className = 'h-4 w-4 rounded border-slate-300 text-accent dark:border-slate-600';
+      label.appendChild(checkbox);
+      label.append(key);
+      reportClassList.appendChild(label);
+    });
+  }
+
+  function formatPercent(value) {
+    return `${(value * 100).toFixed(1)} %`;
+  }
+
+  function renderStats(summary) {
+    statsSummary.textContent = '';
+    const lines = [];
+    if (!summary.total) {
+      lines.push('Ve zvoleném období nebylo žádné losování.');
+    } else {
+      lines.push(`Počet losování: ${summary.total}.`);
+      if (summary.pValue !== null) {
+        const verdict =
+          summary.pValue < stats.SIGNIFICANCE
+            ? 'Rozdělení se od náhody liší statisticky významně.'
+            : 'Rozdělení odpovídá náhodě.';
+        lines.push(`Chí-kvadrát test: χ² = ${summary.chiSquare.toFixed(2)} (df ${summary.df}), p = ${summary.pValue.toFixed(3)}. ${verdict}`);
+      }
+      if (summary.sparse) {
+        lines.push('U některých žáků je očekávaný počet menší než 5 – test je jen orientační.');
+      }
+      if (summary.unknownAttendance) {
+        lines.push(`U ${summary.unknownAttendance} starších záznamů chybí docházka, počítá se s celou třídou.`);
+      }
+      lines.push('Režimy „kolo“, „férově vážené“ a pauza losují záměrně rovnoměrněji než čistá náhoda.');
+    }
+    lines.forEach((line) => {
+      const p = document.createElement('p');
+      p.textContent = line;
+      statsSummary.appendChild(p);
+    });
+
+    statsTableBody.textContent = '';
+    summary.rows.forEach((row) => {
+      const tr = document.createElement('tr');
+      tr.className = 'border-t border-slate-200 dark:border-slate-700';
+      if (row.flag) tr.classList.add(row.flag === 'less' ? 'bg-sky-50' : 'bg-amber-50', 'dark:bg-slate-900');
+      const verdict = row.flag === 'less' ? '↓ méně než náhoda' : row.flag === 'more' ? '↑ více než náhoda' : 'v normě';
+      [
+        row.name.raw,
+        String(row.drawn),
+        String(row.present),
+        row.lastDrawn ? utils.formatTimestamp(row.lastDrawn) : '–',
+        formatPercent(row.share),
+        formatPercent(row.expectedShare),
+        `${row.outcomes.correct} / ${row.outcomes.incorrect} / ${row.outcomes.skipped}`,
+        row.averageGrade === null ? '–' : row.averageGrade.toFixed(2),
+        String(Math.round(row.outcomes.points * 100) / 100),
+        row.pValue === null ? '–' : `${verdict} (p = ${row.pValue.toFixed(3)})`
+      ].forEach((text, index) => {
+        const td = document.createElement('td');
+        td.className = index === 0 ? 'py-2 pr-3 font-medium' : 'py-2 pr-3 tabular-nums';
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      statsTableBody.appendChild(tr);
+    });
+  }
+
+  return {
+    names: renderNames,
+    stats: renderStats,
+    printReport: renderPrintReport,
+    importPreview: renderImportPreview,
+    qrCode: renderQrCode,
+    ocrReview: renderOcrReview,
+    ocrFlags: syncOcrFlags,
+    reportClasses: renderReportClasses,
+    classOptions: renderClassOptions,
+    classTable: renderClassTable,
+    teams: renderTeams,
+    teamRules: renderTeamRules,
+    teamOptions: renderTeamOptions,
+    winner: renderWinner,
+    outcomes: renderOutcomes,
+    csvColumns: renderCsvColumns,
+    csvClassValues: renderCsvClassValues,
+    csvPreview: renderCsvPreview,
+    round: renderRound,
+    history: renderHistory,
+    historyFilter: renderHistoryFilter,
+    highlightList: renderHighlightList,
+    highlightResult
+  };
+})();
+
+const wheel = (() => {
+  const segmentsGroup = document.getElementById('wheelSegments');
+  let currentRotation = 0;
+  let currentNames = [];
+  let currentSegments = [];
+  let spinning = false;
+
+  function createSegmentPath(startAngle, endAngle, radius, index, total) {
+    // A full circle would collapse into an empty arc
+    if (endAngle - startAngle >= 360) endAngle = startAngle + 359.99;
+    const start = polarToCartesian(150, 150, radius, endAngle);
+    const end = polarToCartesian(150, 150, radius, startAngle);
+    const largeArcFlag = endAngle - startAngle <= 180 ? 0 : 1;
+    const pathData = [
+      `M 150 150`,
+      `L ${start.x} ${start.y}`,
+      `A ${radius} ${radius} 0 ${largeArcFlag} 0 ${end.x} ${end.y}`,
+      'Z'
+    ].join(' ');
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', pathData);
+    const palette = ['#1f7aec', '#9333ea', '#ec4899', '#f97316', '#0ea5e9', '#22c55e'];
+    path.setAttribute('fill', palette[index % palette.length]);
+    path.setAttribute('data-index', String(index));
+    path.setAttribute('data-total', String(total));
+    return path;
+  }
+
+  function polarToCartesian(cx, cy, radius, angleInDegrees) {
+    const angleInRadians = ((angleInDegrees - 90) * Math.PI) / 180.0;
+    return {
+      x: cx + radius * Math.cos(angleInRadians),
+      y: cy + radius * Math.sin(angleInRadians)
+    };
+  }
+
+  /**
+   * Render segments. Optional weights (Map key -> weight) size each slice by its
+   * real probability; names in `cooling` get a narrow greyed slice and never win.
+   */
+  function update(names, weights = null, cooling = new Map()) {
+    currentNames = names;
+    segmentsGroup.textContent = '';
+    segmentsGroup.style.transform = `rotate(${currentRotation}deg)`;
+    currentSegments = [];
+    if (!names.length) return;
+    const total = names.length;
+    const eligible = names.filter((n) => !cooling.has(n.key));
+    const coolingSlice = eligible.length ? 180 / total : 360 / total;
+    const eligibleArc = 360 - coolingSlice * (total - eligible.length);
+    const weightOf = (name) => (weights ? weights.get(name.key) ?? 0 : 1);
+    const sum = eligible.reduce((acc, n) => acc + weightOf(n), 0);
+    let angle = 0;
+    names.forEach((name, index) => {
+      const remaining = cooling.get(name.key);
+      const share = remaining ? 0 : sum > 0 ? weightOf(name) / sum : 1 / eligible.length;
+      const startAngle = angle;
+      const endAngle = startAngle + (remaining ? coolingSlice : share * eligibleArc);
+      angle = endAngle;
+      currentSegments.push({ startAngle, endAngle });
+      const path = createSegmentPath(startAngle, endAngle, 140, index, total);
+      path.setAttribute('data-key', name.key);
+      if (remaining) {
+        path.setAttribute('fill', '#cbd5e1');
+        path.setAttribute('data-cooldown', String(remaining));
+      }
+      const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      const label = utils.displayName(name);
+      title.textContent = remaining
+        ? `${label} – znovu za ${remaining} los.`
+        : `${label} – ${(share * 100).toFixed(1)} %`;
+      path.appendChild(title);
+      segmentsGroup.appendChild(path);
+      const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      text.setAttribute('x', '150');
+      text.setAttribute('y', '150');
+      text.setAttribute('class', remaining ? 'wheel-label wheel-label--cooling' : 'wheel-label');
+      text.setAttribute('data-key', name.key);
+      text.textContent = remaining ? `${label} (${remaining})` : label;
+      text.setAttribute('transform', `rotate(${(startAngle + endAngle) / 2} 150 150) translate(0 -90)`);
+      segmentsGroup.appendChild(text);
+    });
+  }
+
+  function spinTo(key, durationMs, reduceMotion) {
+    const index = currentNames.findIndex((n) => n.key === key);
+    if (index === -1) return Promise.resolve(null);
+    const { startAngle, endAngle } = currentSegments[index];
+    const restAngle = (360 - (startAngle + endAngle) / 2) % 360;
+    if (reduceMotion) {
+      currentRotation = restAngle;
+      segmentsGroup.style.transform = `rotate(${currentRotation}deg)`;
+      return Promise.resolve(currentNames[index]);
+    }
+    if (spinning) return Promise.resolve(null);
+    spinning = true;
+    const targetAngle = 360 * 5 + restAngle;
+    return new Promise((resolve) => {
+      const onTransitionEnd = () => {
+        segmentsGroup.removeEventListener('transitionend', onTransitionEnd);
+        segmentsGroup.style.transition = '';
+        currentRotation = targetAngle % 360;
+        spinning = false;
+        resolve(currentNames[index]);
+      };
+      requestAnimationFrame(() => {
+        segmentsGroup.addEventListener('transitionend', onTransitionEnd, { once: true });
+        segmentsGroup.style.transition = `transform ${durationMs}ms cubic-bezier(0.23, 1, 0.32, 1)`;
+        segmentsGroup.style.transform = `rotate(${targetAngle}deg)`;
+      });
+    });
+  }
+
+  function stopEarly() {
+    if (!spinning) return;
+    segmentsGroup.dispatchEvent(new Event('transitionend'));
+  }
+
+  return {
+    update,
+    spinTo,
+    stopEarly,
+    isSpinning: () => spinning
+  };
+})();
+
+/**
+ * Pixel filters for OCR preprocessing. They work on plain typed arrays
+ * (one gray byte per pixel) so the maths stays independent of canvas.
+ */
+const imageFilters = (() => {
+  const ADAPTIVE_RADIUS_RATIO = 1 / 16; // window ≈ an eighth of the shorter side
+  const ADAPTIVE_OFFSET = 0.15; // pixel must be 15 % darker than its neighbourhood
+  const SKEW_SAMPLE_WIDTH = 600;
+  const MAX_SKEW_DEG = 10;
+
+  return {
+    MAX_SKEW_DEG,
+    /** Luma (ITU-R BT.601) from RGBA data */
+    grayscale(rgba) {
+      const gray = new Uint8ClampedArray(rgba.length / 4);
+      for (let i = 0, j = 0; i < rgba.length; i += 4, j += 1) {
+        gray[j] = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+      }
+      return gray;
+    },
+    /** Global threshold maximising between-class variance of the histogram */
+    otsu(gray) {
+      const histogram = new Array(256).fill(0);
+      gray.forEach((value) => {
+        histogram[value] += 1;
+      });
+      const total = gray.length;
+      const sumAll = histogram.reduce((sum, count, value) => sum + count * value, 0);
+      let best = 0;
+      let threshold = 127;
+      let weightDark = 0;
+      let sumDark = 0;
+      for (let t = 0; t < 256; t += 1) {
+        weightDark += histogram[t];
+        if (!weightDark) continue;
+        const weightLight = total - weightDark;
+        if (!weightLight) break;
+        sumDark += t * histogram[t];
+        const meanDark = sumDark / weightDark;
+        const meanLight = (sumAll - sumDark) / weightLight;
+        const variance = weightDark * weightLight * (meanDark - meanLight) ** 2;
+        if (variance > best) {
+          best = variance;
+          threshold = t;
+        }
+      }
+      return threshold;
+    },
+    /** Black (0) at or below `threshold`, white (255) above */
+    binarize(gray, threshold) {
+      return gray.map((value) => (value > threshold ? 255 : 0));
+    },
+    /**
+     * Bradley–Roth local threshold against the mean of a square window,
+     * computed from an integral image so shadows and gradients do not matter.
+     */
+    adaptive(gray, width, height) {
+      const radius = Math.max(4, Math.round(Math.min(width, height) * ADAPTIVE_RADIUS_RATIO));
+      const integral = new Float64Array((width + 1) * (height + 1));
+      for (let y = 0; y < height; y += 1) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x += 1) {
+          rowSum += gray[y * width + x];
+          integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+      }
+      const result = new Uint8ClampedArray(gray.length);
+      for (let y = 0; y < height; y += 1) {
+        const y0 = Math.max(0, y - radius);
+        const y1 = Math.min(height, y + radius + 1);
+        for (let x = 0; x < width; x += 1) {
+          const x0 = Math.max(0, x - radius);
+          const x1 = Math.min(width, x + radius + 1);
+          const sum =
+            integral[y1 * (width + 1) + x1] -
+            integral[y0 * (width + 1) + x1] -
+            integral[y1 * (width + 1) + x0] +
+            integral[y0 * (width + 1) + x0];
+          const mean = sum / ((x1 - x0) * (y1 - y0));
+          result[y * width + x] = gray[y * width + x] < mean * (1 - ADAPTIVE_OFFSET) ? 0 : 255;
+        }
+      }
+      return result;
+    },
+    /**
+     * Tilt of text lines in degrees (positive = lines fall to the right), found
+     * as the angle whose horizontal projection profile is the sharpest.
+     */
+    skewAngle(binary, width, height) {
+      const step = Math.max(1, Math.ceil(width / SKEW_SAMPLE_WIDTH));
+      const points = [];
+      for (let y = 0; y < height; y += step) {
+        for (let x = 0; x < width; x += step) {
+          if (binary[y * width + x] === 0) points.push(x / step, y / step);
+        }
+      }
+      if (points.length < 20) return 0;
+      const rows = Math.ceil(height / step);
+      const margin = Math.ceil((width / step) * Math.tan((MAX_SKEW_DEG * Math.PI) / 180)) + 1;
+      const profile = new Float64Array(rows + 2 * margin);
+      const sharpness = (angle) => {
+        const slope = Math.tan((angle * Math.PI) / 180);
+        profile.fill(0);
+        for (let i = 0; i < points.length; i += 2) {
+          profile[Math.round(points[i + 1] - points[i] * slope) + margin] += 1;
+        }
+        let score = 0;
+        for (let i = 1; i < profile.length; i += 1) score += (profile[i] - profile[i - 1]) ** 2;
+        return score;
+      };
+      // Coarse pass in whole degrees, then quarter degrees around the winner
+      let bestAngle = 0;
+      let bestScore = -1;
+      const search = (from, to, step) => {
+        for (let angle = from; angle <= to + 1e-9; angle += step) {
+          const score = sharpness(angle);
+          // Prefer the smaller tilt on ties so straight scans stay untouched
+          if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+            bestScore = score;
+            bestAngle = angle;
+          }
+        }
+      };
+      search(-MAX_SKEW_DEG, MAX_SKEW_DEG, 1);
+      search(Math.max(-MAX_SKEW_DEG, bestAngle - 0.75), Math.min(MAX_SKEW_DEG, bestAngle + 0.75), 0.25);
+      return bestAngle;
+    },
+    /** Write gray values back into RGBA data in place */
+    fillRgba(rgba, gray) {
+      for (let i = 0, j = 0; j < gray.length; i += 4, j += 1) {
+        rgba[i] = rgba[i + 1] = rgba[i + 2] = gray[j];
+        rgba[i + 3] = 255;
+      }
+      return rgba;
+    }
+  };
+})();
+
+/** Sorting OCR lines into likely names and everything else before they reach the roster */
+const ocrReview = (() => {
+  const MIN_LETTERS = 3;
+  // Slug words; a line starting with one of these is a heading, not a student
+  const HEADER_STARTS = ['trida', 'seznam', 'jmeno', 'prijmeni', 'skolni', 'strana', 'datum', 'ucitel', 'ucitelka', 'tridni', 'rocnik', 'podpis', 'poznamka', 'poznamky'];
+  // Also surnames (Žák), so these only count when the whole line is made of heading words
+  const HEADER_WORDS = [...HEADER_STARTS, 'zak', 'zaci', 'zaku', 'zakyne', 'a', 'rok', 'cislo', 'c'];
+
+  return {
+    LOW_CONFIDENCE: 60,
+    /** Why a line is probably not a name, or null when it looks like one */
+    rejectReason(text) {
+      if (/\d/.test(text)) return 'Obsahuje číslice';
+      if ((text.match(/\p{L}/gu) ?? []).length < MIN_LETTERS) return 'Příliš krátké';
+      const words = utils.createKey(text).split('-');
+      if (HEADER_STARTS.includes(words[0]) || words.every((word) => HEADER_WORDS.includes(word))) return 'Záhlaví';
+      return null;
+    },
+    /**
+     * Flags per line: `reason` from rejectReason, `duplicate` when the name is
+     * already in the roster or earlier in the list.
+     */
+    flags(texts, existingNames) {
+      const existing = new Map(existingNames.map((n) => [utils.createKey(n.raw), n.raw]));
+      const seen = new Set();
+      return texts.map((raw) => {
+        const text = raw.normalize('NFC').replace(/\s+/g, ' ').trim();
+        const slug = utils.createKey(text);
+        let duplicate = null;
+        if (existing.has(slug)) {
+          duplicate = `Už v seznamu (${existing.get(slug)})`;
+        } else if (seen.has(slug)) {
+          duplicate = 'Opakuje se';
+        }
+        seen.add(slug);
+        return { reason: text ? ocrReview.rejectReason(text) : 'Prázdný řádek', duplicate };
+      });
+    }
+  };
+})();
+
+/**
+ * OCR via Tesseract.js served from the app's own origin (vendor/tesseract/),
+ * so it works offline once the files are cached. Nothing is loaded until the
+ * first recognition or an explicit download.
+ */
+const ocr = (() => {
+  const OCR_TIMEOUT_MS = 60000; // 60 seconds
+  const ASSETS = ['tesseract.min.js', 'worker.min.js', 'tesseract-core.wasm.js', `lang/${OCR_LANGUAGE}.traineddata.gz`];
+  const STATUS_LABELS = {
+    'loading tesseract core': 'Načítám OCR jádro',
+    'initializing tesseract': 'Spouštím OCR',
+    'loading language traineddata': 'Načítám český jazykový model',
+    'initializing api': 'Připravuji rozpoznávání',
+    'recognizing text': 'Rozpoznávám text'
+  };
+  let workerPromise = null;
+  let progressListener = null;
+
+  function assetUrl(path) {
+    return new URL(`${OCR_BASE_PATH}${path}`, document.baseURI).href;
+  }
+
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error('Nepodařilo se načíst OCR knihovnu. Jste offline a OCR ještě není stažené?'));
+      document.head.appendChild(script);
+    });
+  }
+
+  function reportProgress(message) {
+    if (!progressListener || !message.status) return;
+    progressListener({ label: STATUS_LABELS[message.status] ?? message.status, progress: message.progress ?? 0 });
+  }
+
+  /** Start Tesseract on first use; later calls reuse the running worker */
+  function getWorker() {
+    if (!workerPromise) {
+      workerPromise = (async () => {
+        if (!window.Tesseract) await loadScript(assetUrl(ASSETS[0]));
+        // Absolute paths - Tesseract resolves them inside its own worker
+        const worker = window.Tesseract.createWorker({
+          workerPath: assetUrl('worker.min.js'),
+          corePath: assetUrl('tesseract-core.wasm.js'),
+          langPath: assetUrl('lang'),
+          logger: reportProgress
+        });
+        await worker.load();
+        await worker.loadLanguage(OCR_LANGUAGE);
+        await worker.initialize(OCR_LANGUAGE);
+        return worker;
+      })().catch((error) => {
+        workerPromise = null;
+        throw error;
+      });
+    }
+    return workerPromise;
+  }
+
+  return {
+    /**
+     * Recognize text lines as [{ text, confidence }] (confidence 0-100, null when
+     * unknown); `onProgress({ label, progress })` follows loading and recognition.
+     */
+    async recognize(imageDataUrl, onProgress = null) {
+      progressListener = onProgress;
+      try {
+        const worker = await getWorker();
+        let timeoutId = null;
+        const timeout = new Promise((_, reject) => {
+          timeoutId = setTimeout(() => {
+            // The job keeps running inside the worker; drop it so the next attempt starts clean
+            workerPromise = null;
+            worker.terminate().catch(() => {});
+            reject(new Error('OCR vypršel časový limit (60s). Zkuste menší obrázek.'));
+          }, OCR_TIMEOUT_MS);
+        });
+        try {
+          const result = await Promise.race([worker.recognize(imageDataUrl), timeout]);
+          const data = result.data ?? {};
+          if (Array.isArray(data.lines) && data.lines.length) {
+            return data.lines.map((line) => ({ text: line.text, confidence: line.confidence }));
+          }
+          return (data.text ?? '').split(/\r?\n/).map((text) => ({ text, confidence: null }));
+        } finally {
+          clearTimeout(timeoutId);
+        }
+      } finally {
+        progressListener = null;
+      }
+    },
+    /** True when every OCR file is in the offline cache */
+    async isAvailableOffline() {
+      if (!('caches' in window)) return false;
+      const cache = await caches.open(OCR_CACHE);
+      const matches = await Promise.all(ASSETS.map((path) => cache.match(assetUrl(path))));
+      return matches.every(Boolean);
+    },
+    /** Download all OCR files into the offline cache; `onProgress(0..1)` by bytes when known */
+    async download(onProgress = () => {}) {
+      if (!('caches' in window)) throw new Error('Prohlížeč nepodporuje offline mezipaměť.');
+      const cache = await caches.open(OCR_CACHE);
+      const responses = await Promise.all(
+        ASSETS.map(async (path) => {
+          const response = await fetch(assetUrl(path), { cache: 'no-store' });
+          if (!response.ok) throw new Error(`Soubor ${path} není na serveru (${response.status}).`);
+          return response;
+        })
+      );
+      const sizes = responses.map((response) => Number(response.headers.get('Content-Length')) || 0);
+      const total = sizes.reduce((sum, size) => sum + size, 0);
+      let loaded = 0;
+      for (const [index, response] of responses.entries()) {
+        const chunks = [];
+        const reader = response.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          chunks.push(value);
+          loaded += value.length;
+          onProgress(total ? Math.min(1, loaded / total) : (index + 0.5) / ASSETS.length);
+        }
+        await cache.put(assetUrl(ASSETS[index]), new Response(new Blob(chunks), { headers: response.headers }));
+      }
+      onProgress(1);
+    }
+  };
+})();
+
+/**
+ * Still photos from a camera via getUserMedia. `navigator.mediaDevices` is looked
+ * up on every start, so a stubbed getUserMedia returning a fake stream (e.g.
+ * `canvas.captureStream()`) or Chrome's --use-fake-device-for-media-stream works.
+ */
+const camera = (() => {
+  const CONSTRAINTS = {
+    audio: false,
+    video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 }, height: { ideal: 1080 } }
+  };
+  const ERROR_MESSAGES = {
+    NotAllowedError: 'Přístup ke kameře byl zamítnut. Povolte ho v nastavení prohlížeče.',
+    SecurityError: 'Přístup ke kameře byl zamítnut. Povolte ho v nastavení prohlížeče.',
+    NotFoundError: 'Nebyla nalezena žádná kamera.',
+    OverconstrainedError: 'Nebyla nalezena žádná vhodná kamera.',
+    NotReadableError: 'Kameru právě používá jiná aplikace.',
+    AbortError: 'Kameru se nepodařilo spustit.'
+  };
+  let stream = null;
+
+  function deviceMedia(constraints) {
+    return navigator.mediaDevices.getUserMedia(constraints);
+  }
+
+  return {
+    isSupported() {
+      return Boolean(navigator.mediaDevices && typeof navigator.mediaDevices.getUserMedia === 'function');
+    },
+    /**
+     * Start the camera into `video`; throws an Error with a Czech message when it
+     * cannot. `getUserMedia(constraints)` can be swapped for another stream source.
+     */
+    async start(video, getUserMedia = deviceMedia) {
+      if (getUserMedia === deviceMedia && !camera.isSupported()) {
+        throw new Error('Tento prohlížeč kameru nepodporuje (vyžaduje HTTPS).');
+      }
+      camera.stop();
+      try {
+        stream = await getUserMedia(CONSTRAINTS);
+      } catch (error) {
+        throw new Error(ERROR_MESSAGES[error.name] ?? 'Kameru se nepodařilo spustit.');
+      }
+      video.srcObject = stream;
+      await video.play();
+    },
+    stop() {
+      if (!stream) return;
+      stream.getTracks().forEach((track) => track.stop());
+      stream = null;
+    },
+    /** Current video frame as a canvas at the camera's full resolution */
+    capture(video) {
+      if (!video.videoWidth || !video.videoHeight) {
+        throw new Error('Kamera zatím nedodává obraz.');
+      }
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      return canvas;
+    }
+  };
+})();
+
+/**
+ * Projector window showing just the wheel and the winner. The teacher's window
+ * publishes over a BroadcastChannel:
+ *   { type: 'snapshot', names, weights, cooling, winners, dark } - wheel contents
+ *   { type: 'spin', index, key, durationMs, reduceMotion }       - spin start
+ *   { type: 'result', winners }                                   - landed names
+ *   { type: 'stop' } / { type: 'bye' }
+ * and the view sends { type: 'hello' } to get the latest snapshot - on open, and
+ * when a spin's index does not point at its key in the snapshot it has.
+ * Only keys and display names are sent - notes and tags stay on the laptop.
+ */
+const presentation = (() => {
+  const RESYNC_TIMEOUT_MS = 500;
+  let channel = null;
+  let lastSnapshot = null;
+  let pendingSnapshot = null;
+  let snapshotWaiter = null;
+
+  function getChannel() {
+    if (!channel && typeof BroadcastChannel === 'function') {
+      channel = new BroadcastChannel(PRESENT_CHANNEL);
+      channel.addEventListener('message', PRESENT_VIEW ? handleViewMessage : handleTeacherMessage);
+    }
+    return channel;
+  }
+
+  function post(message) {
+    getChannel()?.postMessage(message);
+  }
+
+  function publicName(name) {
+    return { key: name.key, raw: name.raw, nickname: name.nickname ?? '' };
+  }
+
+  function handleTeacherMessage(event) {
+    if (event.data?.type === 'hello' && lastSnapshot) post(lastSnapshot);
+  }
+
+  /** Ask the teacher's window for its wheel; resolves once a snapshot arrives or after a short wait */
+  function requestSnapshot() {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        snapshotWaiter = null;
+        resolve();
+      }, RESYNC_TIMEOUT_MS);
+      snapshotWaiter = () => {
+        clearTimeout(timer);
+        snapshotWaiter = null;
+        resolve();
+      };
+      post({ type: 'hello' });
+    });
+  }
+
+  function applySnapshot(message) {
+    document.documentElement.classList.toggle('dark', message.dark);
+    wheel.update(message.names, message.weights && new Map(message.weights), new Map(message.cooling));
+    render.winner(message.winners);
+  }
+
+  async function handleViewMessage(event) {
+    const message = event.data ?? {};
+    const status = document.getElementById('presentationStatus');
+    if (message.type === 'snapshot') {
+      lastSnapshot = message;
+      status.classList.add('hidden');
+      // Rebuilding the segments mid-spin would make the wheel jump
+      if (wheel.isSpinning()) {
+        pendingSnapshot = message;
+      } else {
+        applySnapshot(message);
+      }
+      snapshotWaiter?.();
+    } else if (message.type === 'spin') {
+      let { durationMs, reduceMotion } = message;
+      // A lost or late snapshot shows as an index that does not point at the key
+      if (lastSnapshot?.names[message.index]?.key !== message.key) {
+        const started = performance.now();
+        await requestSnapshot();
+        if (!lastSnapshot) return;
+        // Land together with the teacher's wheel despite the wait; with too little
+        // time left for a spin (a 0 ms transition never ends) land right away
+        durationMs -= performance.now() - started;
+        if (durationMs < MIN_SPIN_MS) reduceMotion = true;
+      }
+      render.winner([]);
+      await wheel.spinTo(message.key, durationMs, reduceMotion);
+      if (pendingSnapshot) {
+        applySnapshot(pendingSnapshot);
+        pendingSnapshot = null;
+      }
+    } else if (message.type === 'result') {
+      render.winner(message.winners);
+    } else if (message.type === 'stop') {
+      wheel.stopEarly();
+    } else if (message.type === 'bye') {
+      status.textContent = 'Okno učitele je zavřené. Po jeho otevření se kolo znovu propojí.';
+      status.classList.remove('hidden');
+    }
+  }
+
+  return {
+    isSupported() {
+      return typeof BroadcastChannel === 'function';
+    },
+    open() {
+      window.open(`${window.location.pathname}?view=present`, 'losovac-present', 'popup,width=1024,height=768');
+    },
+    /** Current wheel contents; also kept to answer a late 'hello' */
+    publishSnapshot(names, weights, cooling, winners) {
+      lastSnapshot = {
+        type: 'snapshot',
+        names: names.map(publicName),
+        weights: weights ? [...weights] : null,
+        cooling: [...cooling],
+        winners: winners.map(publicName),
+        dark: document.documentElement.classList.contains('dark')
+      };
+      post(lastSnapshot);
+    },
+    publishSpin(key, durationMs, reduceMotion) {
+      const index = lastSnapshot ? lastSnapshot.names.findIndex((name) => name.key === key) : -1;
+      post({ type: 'spin', index, key, durationMs, reduceMotion });
+    },
+    publishResult(winners) {
+      post({ type: 'result', winners: winners.map(publicName) });
+    },
+    publishStop() {
+      post({ type: 'stop' });
+    },
+    publishBye() {
+      post({ type: 'bye' });
+    },
+    /** Turn this window into the projector view and ask the teacher's window for state */
+    initView() {
+      document.body.classList.add('presentation-view');
+      document.title = 'Losovač – prezentace';
+      document.getElementById('presentationWheelSlot').appendChild(document.getElementById('wheelContainer'));
+      document.getElementById('presentationWinnerSlot').appendChild(document.getElementById('winnerStatus'));
+      const fullscreenBtn = document.getElementById('presentationFullscreenBtn');
+      fullscreenBtn.addEventListener('click', () => {
+        document.documentElement.requestFullscreen?.().catch(() => {});
+      });
+      document.addEventListener('fullscreenchange', () => {
+        fullscreenBtn.classList.toggle('hidden', Boolean(document.fullscreenElement));
+      });
+      if (!getChannel()) {
+        document.getElementById('presentationStatus').textContent = 'Prohlížeč nepodporuje propojení oken (BroadcastChannel).';
+        return;
+      }
+      post({ type: 'hello' });
+    }
+  };
+})();
+
+const ui = (() => {
+  const drawBtn = document.getElementById('drawBtn');
+  const stopBtn = document.getElementById('stopBtn');
+  const resetHistoryBtn = document.getElementById('resetHistoryBtn');
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const toast = document.getElementById('toast');
+  const toastMessage = document.getElementById('toastMessage');
+  const toastUndoBtn = document.getElementById('toastUndoBtn');
+  const clearAbsentBtn = document.getElementById('clearAbsentBtn');
+  const addNamesBtn = document.getElementById('addNamesBtn');
+  const namesInput = document.getElementById('namesInput');
+  const namesListEl = document.getElementById('namesList');
+  const jsonImportBtn = document.getElementById('importJsonBtn');
+  const jsonFileInput = document.getElementById('jsonFileInput');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const ocrBtn = document.getElementById('ocrBtn');
+  const csvImportBtn = document.getElementById('csvImportBtn');
+  const csvFileInput = document.getElementById('csvFileInput');
+  const csvDialog = document.getElementById('csvDialog');
+  const csvInfo = document.getElementById('csvInfo');
+  const csvHeader = document.getElementById('csvHeader');
+  const csvOrder = document.getElementById('csvOrder');
+  const csvClassCol = document.getElementById('csvClassCol');
+  const csvClassValue = document.getElementById('csvClassValue');
+  const csvSummary = document.getElementById('csvSummary');
+  const csvConfirmBtn = document.getElementById('csvConfirmBtn');
+  const csvMappingFields = document.getElementById('csvMapping');
+  const ocrFileInput = document.getElementById('ocrFileInput');
+  const ocrStatus = document.getElementById('ocrStatus');
+  const ocrProgress = document.getElementById('ocrProgress');
+  const ocrDownloadBtn = document.getElementById('ocrDownloadBtn');
+  const ocrDialog = document.getElementById('ocrDialog');
+  const ocrReviewBody = document.getElementById('ocrReviewBody');
+  const ocrSummary = document.getElementById('ocrSummary');
+  const ocrConfirmBtn = document.getElementById('ocrConfirmBtn');
+  const ocrPrepareDialog = document.getElementById('ocrPrepareDialog');
+  const ocrCropCanvas = document.getElementById('ocrCropCanvas');
+  const ocrAfterImage = document.getElementById('ocrAfterImage');
+  const ocrThreshold = document.getElementById('ocrThreshold');
+  const ocrDeskew = document.getElementById('ocrDeskew');
+  const ocrCropResetBtn = document.getElementById('ocrCropResetBtn');
+  const ocrPrepareInfo = document.getElementById('ocrPrepareInfo');
+  const ocrRecognizeBtn = document.getElementById('ocrRecognizeBtn');
+  const cameraBtn = document.getElementById('cameraBtn');
+  const cameraDialog = document.getElementById('cameraDialog');
+  const cameraVideo = document.getElementById('cameraVideo');
+  const cameraFrame = document.getElementById('cameraFrame');
+  const cameraError = document.getElementById('cameraError');
+  const cameraCaptureBtn = document.getElementById('cameraCaptureBtn');
+  const cameraFileBtn = document.getElementById('cameraFileBtn');
+  const updateBanner = document.getElementById('updateBanner');
+  const updateMessage = document.getElementById('updateMessage');
+  const updateReloadBtn = document.getElementById('updateReloadBtn');
+  const updateDismissBtn = document.getElementById('updateDismissBtn');
+  const presentBtn = document.getElementById('presentBtn');
+  const shareBtn = document.getElementById('shareBtn');
+  const shareDialog = document.getElementById('shareDialog');
+  const shareSettings = document.getElementById('shareSettings');
+  const shareLink = document.getElementById('shareLink');
+  const shareCopyBtn = document.getElementById('shareCopyBtn');
+  const shareInfo = document.getElementById('shareInfo');
+  const spinDuration = document.getElementById('spinDuration');
+  const motionMode = document.getElementById('motionMode');
+  const themeMode = document.getElementById('themeMode');
+  const drawMode = document.getElementById('drawMode');
+  const drawCountInput = document.getElementById('drawCount');
+  const historyStudent = document.getElementById('historyStudent');
+  const historyFrom = document.getElementById('historyFrom');
+  const historyTo = document.getElementById('historyTo');
+  const historyMoreBtn = document.getElementById('historyMoreBtn');
+  const outcomePanel = document.getElementById('outcomePanel');
+  const exportDialog = document.getElementById('exportDialog');
+  const exportEncrypt = document.getElementById('exportEncrypt');
+  const exportPassword = document.getElementById('exportPassword');
+  const exportPasswordConfirm = document.getElementById('exportPasswordConfirm');
+  const exportConfirmBtn = document.getElementById('exportConfirmBtn');
+  const passphraseDialog = document.getElementById('passphraseDialog');
+  const passphraseMessage = document.getElementById('passphraseMessage');
+  const passphraseInput = document.getElementById('passphraseInput');
+  const importDialog = document.getElementById('importDialog');
+  const importSource = document.getElementById('importSource');
+  const importReplaceBtn = document.getElementById('importReplaceBtn');
+  const importMergeBtn = document.getElementById('importMergeBtn');
+  const importNewClassBtn = document.getElementById('importNewClassBtn');
+  const reportBtn = document.getElementById('reportBtn');
+  const reportDialog = document.getElementById('reportDialog');
+  const reportFrom = document.getElementById('reportFrom');
+  const reportTo = document.getElementById('reportTo');
+  const reportClassList = document.getElementById('reportClassList');
+  const historyCsvBtn = document.getElementById('historyCsvBtn');
+  const summaryCsvBtn = document.getElementById('summaryCsvBtn');
+  const printReportBtn = document.getElementById('printReportBtn');
+  const statsBtn = document.getElementById('statsBtn');
+  const statsDialog = document.getElementById('statsDialog');
+  const statsFrom = document.getElementById('statsFrom');
+  const statsTo = document.getElementById('statsTo');
+  const teamMode = document.getElementById('teamMode');
+  const teamValue = document.getElementById('teamValue');
+  const teamBalance = document.getElementById('teamBalance');
+  const teamGenerateBtn = document.getElementById('teamGenerateBtn');
+  const teamExportTextBtn = document.getElementById('teamExportTextBtn');
+  const teamExportCsvBtn = document.getElementById('teamExportCsvBtn');
+  const teamRuleA = document.getElementById('teamRuleA');
+  const teamRuleB = document.getElementById('teamRuleB');
+  const teamRuleType = document.getElementById('teamRuleType');
+  const teamRuleAddBtn = document.getElementById('teamRuleAddBtn');
+  const teamRulesList = document.getElementById('teamRulesList');
+  const teamTagsList = document.getElementById('teamTagsList');
+  const teamStatus = document.getElementById('teamStatus');
+  const cooldownInput = document.getElementById('cooldown');
+  const themeToggle = document.getElementById('themeToggle');
+  const classKeyInput = document.getElementById('classKey');
+  const manageClassesBtn = document.getElementById('manageClassesBtn');
+  const classDialog = document.getElementById('classDialog');
+  const classTableBody = document.getElementById('classTableBody');
+  const newClassBtn = document.getElementById('newClassBtn');
+  const historyToggle = document.getElementById('toggleHistory');
+  const lockZones = document.querySelectorAll('[data-lock-zone]');
+
+  const mediaReduced = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const mediaTheme = window.matchMedia('(prefers-color-scheme: dark)');
+
+  let currentReduced = mediaReduced.matches;
+  let lastWinnerKeys = [];
+  let isHydrating = true;
+  let isDrawing = false;
+  let pickedKeys = new Set();
+  let currentTeams = null;
+  let csvRows = [];
+  let historyPages = 1;
+  let historyRequest = 0;
+  // Last history list query; attendance or name edits only relabel it
+  let historyView = { query: '', entries: [], total: 0 };
+  // Draws per student over the stored history, loaded only for the weighted mode
+  let drawCounts = { query: '', counts: new Map() };
+  let toastTimer = null;
+  let editingKey = null;
+  let pendingImport = null;
+  let ocrLines = [];
+  // { image, crop: { x, y, width, height } as fractions, dataUrl } while the prepare dialog is open
+  let ocrSource = null;
+  let cropDrag = null;
+  let swRegistration = null;
+  let reloadPending = false;
+  let storageSyncPending = false;
+
+  function handleStateChange(snapshot, presentNames, wheelNames, cooling) {
+    render.classOptions(storage.listClassKeys(), snapshot.classKey);
+    if (editingKey && !snapshot.names.some((n) => n.key === editingKey)) editingKey = null;
+    render.names(snapshot.names, snapshot.absentKeys, cooling, null, editingKey);
+    render.highlightList(presentNames);
+    render.round(wheelNames.length, presentNames.length, snapshot.settings.drawMode === 'bag');
+    lastWinnerKeys = lastWinnerKeys.filter((key) => presentNames.some((n) => n.key === key));
+    render.highlightResult(lastWinnerKeys);
+    const namesMap = new Map(snapshot.names.map((n) => [n.key, n]));
+    render.winner(lastWinnerKeys.map((key) => namesMap.get(key)).filter(Boolean));
+    render.outcomes(
+      utils.latestDraw(snapshot.history).filter((entry) => lastWinnerKeys.includes(entry.key)),
+      namesMap
+    );
+    render.historyFilter(snapshot.names);
+    const historyQuery = `${snapshot.classKey}\n${historyStudent.value}\n${JSON.stringify(snapshot.history)}`;
+    if (historyQuery !== historyView.query) {
+      historyView.query = historyQuery;
+      refreshHistory(snapshot);
+    } else {
+      render.history(historyView.entries, namesMap, historyView.total);
+    }
+    refreshDrawCounts(snapshot);
+    render.teamOptions(snapshot.names);
+    render.teamRules(snapshot.teamRules, namesMap);
+    updateButtons(snapshot);
+    updateSettings(snapshot.settings);
+    if (!isHydrating) {
+      const merged = storage.save(snapshot.classKey, snapshot);
+      // Another tab wrote in the meantime; show what was stored once this notify is done
+      if (merged) queueMicrotask(() => adoptOtherTab(merged));
+    }
+  }
+
+  /** Show a class payload that now includes another tab's edits */
+  function adoptOtherTab({ payload, conflicts }) {
+    // Undo steps must not bring back data from before the other tab's edits
+    const ours = state.getState();
+    const historyChanged = !tabMerge.same(ours.history, payload.history);
+    state.rebaseUndo(payload.classKey, (step) =>
+      // Undoing a reset or import rewrites the stored history and would lose the other tab's draws
+      step.archive && historyChanged ? null : tabMerge.rebase(ours, payload, step.data)
+    );
+    isHydrating = true;
+    state.updateFromStorage(payload);
+    isHydrating = false;
+    if (conflicts.length) {
+      showInfoToast(`Třída se současně upravovala i v jiném okně, změny byly sloučeny. Sporné (platí verze z tohoto okna): ${conflicts.join(', ')}.`);
+    }
+  }
+
+  /** Pick up what another tab stored for the class shown here */
+  function syncFromOtherTab() {
+    storageSyncPending = false;
+    const snapshot = state.getState();
+    const result = storage.reconcile(snapshot.classKey, snapshot);
+    if (!result) return;
+    adoptOtherTab(result);
+    if (result.save) storage.save(snapshot.classKey, state.getState());
+  }
+
+  function handleStorageEvent(event) {
+    if (event.storageArea !== localStorage || !event.key?.startsWith(STORAGE_PREFIX)) return;
+    const current = state.getState().classKey;
+    render.classOptions(storage.listClassKeys(), current);
+    if (event.key !== `${STORAGE_PREFIX}${current}`) return;
+    if (event.newValue === null) {
+      const renamed = storage.renamedTo(current);
+      if (renamed) {
+        state.moveUndo(current, renamed);
+        state.setClassKey(renamed);
+        storage.setActiveClass(renamed);
+        return;
+      }
+      state.dropUndo(current);
+      alert(`Třída „${current}“ byla smazána v jiném okně.`);
+      const [next] = storage.listClassKeys();
+      switchClass(next ?? DEFAULT_CLASS_KEY);
+      return;
+    }
+    // Rebuilding the wheel mid-draw would make it jump; catch up afterwards
+    if (isDrawing) {
+      storageSyncPending = true;
+      return;
+    }
+    syncFromOtherTab();
+  }
+
+  function logHistoryError(error) {
+    console.error('Chyba při práci s historií', error);
+  }
+
+  /** Date input value (YYYY-MM-DD, local time) to an ISO bound; '' when empty */
+  function dateBound(value, endOfDay) {
+    if (!value) return '';
+    const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+  }
+
+  /** Re-query the history list; stale responses from earlier calls are dropped */
+  async function refreshHistory(snapshot) {
+    const request = (historyRequest += 1);
+    try {
+      const { entries, total } = await historyDb.query(snapshot.classKey, {
+        key: historyStudent.value || null,
+        from: dateBound(historyFrom.value, false),
+        to: dateBound(historyTo.value, true),
+        limit: historyPages * HISTORY_PAGE_SIZE
+      });
+      if (request !== historyRequest) return;
+      historyView = { ...historyView, entries, total };
+      render.history(entries, new Map(snapshot.names.map((n) => [n.key, n])), total);
+    } catch (error) {
+      logHistoryError(error);
+    }
+  }
+
+  /** Reload the weighted mode's draw counts when the class history changed, then reweight the wheel */
+  async function refreshDrawCounts(snapshot) {
+    if (snapshot.settings.drawMode !== 'weighted') {
+      drawCounts.query = '';
+      return;
+    }
+    const keys = snapshot.names.map((n) => n.key);
+    const query = `${snapshot.classKey}\n${keys.join()}\n${JSON.stringify(snapshot.history)}`;
+    if (query === drawCounts.query) return;
+    drawCounts.query = query;
+    try {
+      const counts = await historyDb.counts(snapshot.classKey, keys);
+      if (drawCounts.query !== query) return;
+      drawCounts = { query, counts };
+      // A running draw reweights in its finally block
+      if (!isDrawing) syncWheel(state.getState());
+    } catch (error) {
+      logHistoryError(error);
+    }
+  }
+
+  function handleHistoryFilterChange() {
+    historyPages = 1;
+    refreshHistory(state.getState());
+  }
+
+  function handleHistoryMore() {
+    historyPages += 1;
+    refreshHistory(state.getState());
+  }
+
+  async function refreshStats() {
+    const snapshot = state.getState();
+    try {
+      const { entries } = await historyDb.query(snapshot.classKey, {
+        from: dateBound(statsFrom.value, false),
+        to: dateBound(statsTo.value, true),
+        limit: Infinity
+      });
+      render.stats(stats.summarize(snapshot.names, entries));
+    } catch (error) {
+      logHistoryError(error);
+    }
+  }
+
+  function handleStatsOpen() {
+    refreshStats();
+    statsDialog.showModal();
+  }
+
+  function handleReportOpen() {
+    const current = state.getState().classKey;
+    const keys = storage.listClassKeys();
+    render.reportClasses(keys.includes(current) ? keys : [...keys, current], current);
+    reportDialog.showModal();
+  }
+
+  /** Names and filtered history of a class; the current class comes from live state */
+  async function loadReportData(classKey) {
+    const snapshot = state.getState();
+    const names = classKey === snapshot.classKey ? snapshot.names : storage.load(classKey)?.names ?? [];
+    const { entries } = await historyDb.query(classKey, {
+      from: dateBound(reportFrom.value, false),
+      to: dateBound(reportTo.value, true),
+      limit: Infinity
+    });
+    return { names, entries, namesMap: new Map(names.map((n) => [n.key, n])) };
+  }
+
+  async function handleReportCsv(kind) {
+    const classKey = state.getState().classKey;
+    try {
+      const { names, entries, namesMap } = await loadReportData(classKey);
+      const content = kind === 'history' ? reports.historyCsv(entries, namesMap) : reports.summaryCsv(stats.summarize(names, entries));
+      // BOM so spreadsheet apps detect UTF-8
+      const blob = new Blob(['\ufeff' + content], { type: 'text/csv;charset=utf-8' });
+      downloadBlob(blob, `${classKey}-${kind === 'history' ? 'historie' : 'souhrn'}.csv`);
+    } catch (error) {
+      alert('Export se nezdařil: ' + error.message);
+    }
+  }
+
+  async function handlePrintReport() {
+    const classKeys = [...reportClassList.querySelectorAll('input:checked')].map((input) => input.value);
+    if (!classKeys.length) {
+      alert('Vyberte alespoň jednu třídu.');
+      return;
+    }
+    const period =
+      reportFrom.value || reportTo.value
+        ? `${reportFrom.value ? new Date(reportFrom.value).toLocaleDateString('cs-CZ') : '…'} – ${reportTo.value ? new Date(reportTo.value).toLocaleDateString('cs-CZ') : '…'}`
+        : 'celá historie';
+    try {
+      const pages = [];
+      for (const classKey of classKeys) {
+        const { names, entries, namesMap } = await loadReportData(classKey);
+        pages.push({
+          classKey,
+          period,
+          summary: stats.summarize(names, entries),
+          history: reports.historyRows(entries, namesMap)
+        });
+      }
+      render.printReport(pages);
+      reportDialog.close();
+      window.print();
+    } catch (error) {
+      alert('Sestavu se nepodařilo připravit: ' + error.message);
+    }
+  }
+
+  function updateButtons(snapshot) {
+    const present = snapshot.names.filter((n) => !snapshot.absentKeys.has(n.key));
+    const disabled = isDrawing || present.length <= 1;
+    drawBtn.disabled = disabled;
+    drawBtn.setAttribute('aria-disabled', String(disabled));
+    const steps = state.getUndoInfo();
+    undoBtn.disabled = isDrawing || !steps.undo;
+    undoBtn.title = steps.undo ? `Zpět: ${steps.undo} (Ctrl+Z)` : 'Není co vrátit';
+    redoBtn.disabled = isDrawing || !steps.redo;
+    redoBtn.title = steps.redo ? `Znovu: ${steps.redo} (Ctrl+Shift+Z)` : 'Není co opakovat';
+    clearAbsentBtn.disabled = snapshot.absentKeys.size === 0;
+  }
+
+  function updateSettings(settings) {
+    spinDuration.value = settings.spinMs;
+    motionMode.value = settings.reducedMotionMode;
+    themeMode.value = settings.theme;
+    drawMode.value = settings.drawMode;
+    cooldownInput.value = settings.cooldown;
+    applyMotionPreference(settings.reducedMotionMode);
+    applyTheme(settings.theme);
+  }
+
+  function applyTheme(mode) {
+    const root = document.documentElement;
+    if (mode === 'dark') {
+      root.classList.add('dark');
+    } else if (mode === 'light') {
+      root.classList.remove('dark');
+    } else {
+      if (mediaTheme.matches) {
+        root.classList.add('dark');
+      } else {
+        root.classList.remove('dark');
+      }
+    }
+  }
+
+  function applyMotionPreference(mode) {
+    const body = document.body;
+    if (!body) return;
+    if (mode === 'on') {
+      body.dataset.motionPreference = 'on';
+    } else if (mode === 'off') {
+      body.dataset.motionPreference = 'off';
+    } else {
+      delete body.dataset.motionPreference;
+    }
+  }
+
+  function shouldReduceMotion(settings) {
+    if (settings.reducedMotionMode === 'on') return true;
+    if (settings.reducedMotionMode === 'off') return false;
+    return currentReduced;
+  }
+
+  function lockInteractions(lock) {
+    lockZones.forEach((zone) => {
+      if (lock) {
+        zone.setAttribute('inert', '');
+        zone.setAttribute('aria-disabled', 'true');
+      } else {
+        zone.removeAttribute('inert');
+        zone.removeAttribute('aria-disabled');
+      }
+    });
+    [addNamesBtn, jsonImportBtn, exportJsonBtn, ocrBtn, cameraBtn, themeToggle, historyToggle, namesInput, jsonFileInput, ocrFileInput, csvImportBtn, csvFileInput, spinDuration, motionMode, themeMode, drawMode, cooldownInput, drawCountInput, classKeyInput, manageClassesBtn].forEach((el) => {
+      if (!el) return;
+      if (el === stopBtn || el === resetHistoryBtn) return;
+      if (lock) {
+        el.setAttribute('aria-disabled', 'true');
+        el.disabled = true;
+      } else {
+        el.removeAttribute('aria-disabled');
+        if ('disabled' in el) el.disabled = false;
+      }
+    });
+    if (lock) {
+      drawBtn.disabled = true;
+      drawBtn.setAttribute('aria-disabled', 'true');
+      undoBtn.disabled = true;
+      redoBtn.disabled = true;
+    } else {
+      updateButtons(state.getState());
+    }
+  }
+
+  /** Per-candidate weights for the weighted mode, null means uniform */
+  function drawWeights(snapshot, candidates) {
+    if (snapshot.settings.drawMode !== 'weighted') return null;
+    return fairness.weights(candidates, snapshot.history, drawCounts.counts);
+  }
+
+  /** Candidates for the next spin, minus winners already picked in a multi-draw */
+  function spinCandidates() {
+    return state.getDrawCandidates().filter((n) => !pickedKeys.has(n.key));
+  }
+
+  function syncWheel(snapshot) {
+    const candidates = spinCandidates();
+    const weights = drawWeights(snapshot, candidates);
+    const weightMap = weights ? new Map(candidates.map((n, i) => [n.key, weights[i]])) : null;
+    const wheelNames = state.getWheelNames().filter((n) => !pickedKeys.has(n.key));
+    const cooling = state.getCooldown();
+    wheel.update(wheelNames, weightMap, cooling);
+    const namesMap = new Map(snapshot.names.map((n) => [n.key, n]));
+    const winners = lastWinnerKeys.map((key) => namesMap.get(key)).filter(Boolean);
+    presentation.publishSnapshot(wheelNames, weightMap, cooling, winners);
+  }
+
+  function addNamesFromInput() {
+    const raw = utils.sanitizeRawInput(namesInput.value);
+    if (!raw.length) return;
+    const snapshot = state.getState();
+    const merged = utils.mergeNames(snapshot.names, raw, (name, existing) =>
+      confirm(
+        `Žák „${existing.raw}“ už v seznamu je. Je „${name}“ další žák se stejným jménem?\n\n` +
+          'OK – přidat nového žáka (odliší se písmenem, např. „(B)“)\nZrušit – jde o stejného žáka'
+      )
+    );
+    state.setNames(merged);
+    namesInput.value = '';
+    const added = merged.length - snapshot.names.length;
+    if (added) showUndoToast(`Přidáno ${added} žáků.`);
+  }
+
+  function handleClearAbsent() {
+    const count = state.getState().absentKeys.size;
+    if (!count) return;
+    state.clearAbsent();
+    showUndoToast(`Nepřítomnost zrušena u ${count} žáků.`);
+  }
+
+  function readDrawCount() {
+    const value = Number.parseInt(drawCountInput.value, 10);
+    const clamped = Number.isNaN(value) ? 1 : Math.max(1, Math.min(MAX_DRAW_COUNT, value));
+    drawCountInput.value = clamped;
+    return clamped;
+  }
+
+  async function handleDraw() {
+    // Prevent double-click and concurrent draws
+    if (isDrawing || wheel.isSpinning()) return;
+    if (state.getDrawCandidates().length === 0) return;
+    isDrawing = true;
+
+    const count = Math.min(readDrawCount(), state.getDrawCandidates().length);
+    const groupId = count > 1 ? crypto.randomUUID() : null;
+    // Attendance at draw time feeds the statistics' expected shares. It has to be
+    // the present keys: absent ones cannot tell students added later apart.
+    const presentKeys = state.getPresentNames().map((n) => n.key);
+    const winners = [];
+    pickedKeys = new Set();
+    lastWinnerKeys = [];
+    render.winner([]);
+    lockInteractions(true);
+    try {
+      // Sequential spins; each winner leaves the wheel before the next one
+      for (let round = 0; round < count; round += 1) {
+        const snapshot = state.getState();
+        const candidates = spinCandidates();
+        if (!candidates.length) break;
+        const weights = drawWeights(snapshot, candidates);
+        const index = weights ? rng.weightedIndex(weights) : rng.index(candidates.length);
+        const reduceMotion = shouldReduceMotion(snapshot.settings);
+        presentation.publishSpin(candidates[index].key, snapshot.settings.spinMs, reduceMotion);
+        const selected = await wheel.spinTo(candidates[index].key, snapshot.settings.spinMs, reduceMotion);
+        if (!selected) break;
+        winners.push(selected);
+        lastWinnerKeys = winners.map((n) => n.key);
+        render.winner(winners);
+        presentation.publishResult(winners);
+        render.highlightResult(lastWinnerKeys);
+        const entry = { key: selected.key, ts: new Date().toISOString(), id: crypto.randomUUID(), present: presentKeys };
+        if (groupId) entry.groupId = groupId;
+        pickedKeys.add(selected.key);
+        historyDb.put(snapshot.classKey, [entry]).catch(logHistoryError);
+        state.addHistory(entry);
+      }
+    } finally {
+      pickedKeys = new Set();
+      isDrawing = false;
+      lockInteractions(false);
+      syncWheel(state.getState());
+      if (storageSyncPending) syncFromOtherTab();
+      if (reloadPending) reloadWhenIdle();
+    }
+  }
+
+  /** Reload for a new version, but never while the wheel is drawing */
+  function reloadWhenIdle() {
+    if (isDrawing || wheel.isSpinning()) {
+      reloadPending = true;
+      updateMessage.textContent = 'Nová verze se načte po dokončení losování.';
+      updateBanner.classList.remove('hidden');
+      updateReloadBtn.classList.add('hidden');
+      return;
+    }
+    reloadPending = false;
+    window.location.reload();
+  }
+
+  function showUpdateBanner() {
+    updateMessage.textContent = 'Nová verze –';
+    updateReloadBtn.classList.remove('hidden');
+    updateBanner.classList.remove('hidden');
+  }
+
+  function handleUpdateReload() {
+    const worker = swRegistration && (swRegistration.waiting || swRegistration.installing);
+    if (!worker) {
+      reloadWhenIdle();
+      return;
+    }
+    updateReloadBtn.disabled = true;
+    // controllerchange follows once the new worker has taken over
+    worker.postMessage({ type: 'skip-waiting' });
+  }
+
+  /** Offer waiting service worker updates instead of swapping versions under the teacher */
+  function watchUpdates(registration) {
+    swRegistration = registration;
+    // Without a controller a new worker is the first install, not an update
+    let controlled = Boolean(navigator.serviceWorker.controller);
+    if (controlled && registration.waiting) showUpdateBanner();
+    const watchInstalling = () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner();
+      });
+    };
+    // An update may already be installing when the registration resolves
+    watchInstalling();
+    registration.addEventListener('updatefound', watchInstalling);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (controlled) reloadWhenIdle();
+      controlled = true;
+    });
+    setInterval(() => {
+      registration.update().catch(() => {});
+    }, UPDATE_CHECK_MS);
+  }
+
+  function saveOutcome(row, status) {
+    const id = row.dataset.entryId;
+    const outcome = utils.sanitizeOutcome({
+      status,
+      grade: row.querySelector('[data-field="grade"]').value,
+      points: row.querySelector('[data-field="points"]').value,
+      note: row.querySelector('[data-field="note"]').value
+    });
+    const snapshot = state.getState();
+    const entry = snapshot.history.find((item) => item.id === id);
+    if (!entry) return;
+    const { outcome: _previous, ...rest } = entry;
+    // Write the store first so the history list refresh triggered by setOutcome sees it
+    historyDb.put(snapshot.classKey, [outcome ? { ...rest, outcome } : rest]).catch(logHistoryError);
+    state.setOutcome(id, outcome);
+  }
+
+  function currentStatus(row) {
+    return row.querySelector('button[data-status][aria-pressed="true"]')?.dataset.status ?? null;
+  }
+
+  function handleOutcomeClick(event) {
+    const button = event.target.closest('button[data-status]');
+    if (!button) return;
+    const row = button.closest('[data-entry-id]');
+    // Clicking the active status again clears it
+    const status = currentStatus(row) === button.dataset.status ? null : button.dataset.status;
+    saveOutcome(row, status);
+  }
+
+  function handleOutcomeChange(event) {
+    const row = event.target.closest('[data-entry-id]');
+    if (!row) return;
+    saveOutcome(row, currentStatus(row));
+  }
+
+  function handleStop() {
+    wheel.stopEarly();
+    presentation.publishStop();
+  }
+
+  async function handleResetHistory() {
+    const classKey = state.getState().classKey;
+    // Keep the full history in the undo step; the snapshot only holds the recent part
+    const archive = await historyDb.all(classKey).catch((error) => {
+      logHistoryError(error);
+      return null;
+    });
+    if (state.getState().classKey !== classKey) return;
+    historyDb.clear(classKey).catch(logHistoryError);
+    state.resetHistory(archive);
+    showUndoToast('Historie losování byla smazána.');
+  }
+
+  /** Notice after a destructive action, with a button to take it back */
+  function showUndoToast(message) {
+    toastUndoBtn.classList.remove('hidden');
+    toastMessage.textContent = message;
+    toast.classList.remove('hidden');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, TOAST_MS);
+  }
+
+  /** Toast without the undo button, for notices that have nothing to take back */
+  function showInfoToast(message) {
+    showUndoToast(message);
+    toastUndoBtn.classList.add('hidden');
+  }
+
+  function hideToast() {
+    clearTimeout(toastTimer);
+    toast.classList.add('hidden');
+  }
+
+  /** Bring IndexedDB in line with the history an undo/redo step restored */
+  function syncUndoHistory(classKey, step, direction) {
+    if (step.archive) {
+      return historyDb.replace(classKey, direction === 'undo' ? step.archive : step.replacement ?? []);
+    }
+    const beforeIds = new Set(step.before.history.map((entry) => entry.id));
+    const afterIds = new Set(step.after.history.map((entry) => entry.id));
+    // Only draws newer than the restored history were taken back; older
+    // entries merely fell out of the recent window and stay in the store
+    const newest = step.after.history[0]?.ts ?? '';
+    const removed = step.before.history.filter((entry) => !afterIds.has(entry.id) && entry.ts >= newest);
+    const added = step.after.history.filter((entry) => !beforeIds.has(entry.id));
+    return Promise.all([
+      removed.length ? historyDb.remove(classKey, removed.map((entry) => entry.id)) : null,
+      added.length ? historyDb.put(classKey, added) : null
+    ]);
+  }
+
+  function travelHistory(direction) {
+    if (isDrawing || wheel.isSpinning()) return;
+    const classKey = state.getState().classKey;
+    const step = direction === 'undo' ? state.undo() : state.redo();
+    if (!step) return;
+    hideToast();
+    syncUndoHistory(classKey, step, direction)
+      .then(() => refreshHistory(state.getState()))
+      .catch(logHistoryError);
+    if (step.before.history[0]?.id !== step.after.history[0]?.id) {
+      lastWinnerKeys = utils.latestDrawKeys(step.after.history);
+      handleSnapshot(state.getState());
+    }
+  }
+
+  function handleUndo() {
+    travelHistory('undo');
+  }
+
+  function handleRedo() {
+    travelHistory('redo');
+  }
+
+  function handleAbsentToggle(event) {
+    const target = event.target;
+    if (!(target instanceof HTMLInputElement)) return;
+    if (!target.dataset.key) return;
+    const key = target.dataset.key;
+    const isAbsent = target.checked;
+    // Immediate UI update for better responsiveness
+    const li = target.closest('li');
+    if (li) {
+      const statusSpan = li.querySelector('span.text-xs');
+      if (statusSpan) {
+        statusSpan.textContent = isAbsent ? 'Nepřítomen' : 'Přítomen';
+      }
+    }
+    state.toggleAbsent(key, isAbsent);
+  }
+
+  function handleNameAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const key = button.closest('li').dataset.key;
+    const snapshot = state.getState();
+    const name = snapshot.names.find((n) => n.key === key);
+    if (!name) return;
+    if (button.dataset.action === 'edit') {
+      editingKey = key;
+      handleSnapshot(snapshot);
+      namesListEl.querySelector('[data-field="raw"]')?.focus();
+    } else if (button.dataset.action === 'cancel') {
+      stopEditing();
+    } else if (button.dataset.action === 'delete') {
+      if (!confirm(`Opravdu odebrat žáka „${name.raw}“? Jeho historie losování zůstane zachována.`)) return;
+      state.setNames(
+        snapshot.names.filter((n) => n.key !== key),
+        'Odebrání žáka'
+      );
+      showUndoToast(`Žák ${name.raw} byl odebrán.`);
+    }
+  }
+
+  function stopEditing() {
+    editingKey = null;
+    handleSnapshot(state.getState());
+  }
+
+  /** Save the inline editor; the key stays, so history keeps pointing at the student */
+  function handleNameEditSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const key = form.dataset.key;
+    const field = (name) => form.querySelector(`[data-field="${name}"]`).value;
+    const raw = field('raw').normalize('NFC').replace(/\s+/g, ' ').trim();
+    if (!raw) {
+      alert('Jméno nesmí být prázdné.');
+      return;
+    }
+    const snapshot = state.getState();
+    const taken = new Set(snapshot.names.filter((n) => n.key !== key).map((n) => utils.createKey(n.raw)));
+    let name = raw;
+    if (taken.has(utils.createKey(raw))) {
+      let n = 1;
+      while (taken.has(utils.createKey(utils.disambiguatedName(raw, n)))) n += 1;
+      name = utils.disambiguatedName(raw, n);
+      if (!confirm(`Žák „${raw}“ už v seznamu je. Uložit jako „${name}“, aby šli od sebe odlišit?`)) return;
+    }
+    const nickname = field('nickname').normalize('NFC').replace(/\s+/g, ' ').trim().slice(0, MAX_NICKNAME_LENGTH);
+    const note = field('note').normalize('NFC').trim().slice(0, MAX_STUDENT_NOTE_LENGTH);
+    editingKey = null;
+    state.setNames(
+      snapshot.names.map((n) => {
+        if (n.key !== key) return n;
+        const { nickname: _nickname, note: _note, ...rest } = n;
+        const updated = { ...rest, raw: name };
+        if (nickname) updated.nickname = nickname;
+        if (note) updated.note = note;
+        return updated;
+      }),
+      'Úprava žáka'
+    );
+  }
+
+  function handleNameEditKeydown(event) {
+    if (event.key === 'Escape' && editingKey) {
+      event.preventDefault();
+      stopEditing();
+    }
+  }
+
+  function handleJsonImport() {
+    jsonFileInput.click();
+  }
+
+  function handleJsonFileChange(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    if (file.size === 0) {
+      alert('Soubor je prázdný. Vyberte platný JSON soubor.');
+      jsonFileInput.value = '';
+      return;
+    }
+    if (file.size > 5 * 1024 * 1024) {
+      alert('Soubor je příliš velký (max 5 MB).');
+      jsonFileInput.value = '';
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = async () => {
+      try {
+        const report = [];
+        const incoming = await storage.importPayload(reader.result, report, askPassphrase);
+        if (!incoming) return;
+        await openImportPreview(
+          incoming,
+          report,
+          `Soubor „${file.name}“ (třída „${incoming.classKey}“, ${incoming.names.length} žáků)`
+        );
+      } catch (error) {
+        alert('Chyba při importu: ' + error.message);
+      } finally {
+        jsonFileInput.value = '';
+      }
+    };
+    reader.onerror = () => {
+      alert('Chyba při čtení souboru. Zkuste to prosím znovu.');
+      jsonFileInput.value = '';
+    };
+    reader.readAsText(file);
+  }
+
+  /** Let the teacher choose how `incoming` lands: new class, replace or merge */
+  async function openImportPreview(incoming, report, source) {
+    const snapshot = state.getState();
+    const currentHistory = await historyDb.all(snapshot.classKey);
+    pendingImport = { incoming, currentHistory, classKey: snapshot.classKey };
+    importSource.textContent = `${source} → aktuální třída „${snapshot.classKey}“`;
+    render.importPreview(importMerge.diff(snapshot, incoming, currentHistory), report);
+    importDialog.showModal();
+  }
+
+  async function refreshShareLink() {
+    const snapshot = state.getState();
+    const link = await rosterShare.createLink(snapshot, shareSettings.checked);
+    shareLink.value = link;
+    const contents = shareSettings.checked ? 'a nastavení' : 'bez nastavení';
+    shareInfo.textContent = `Odkaz obsahuje ${snapshot.names.length} žáků ${contents}; historie, docházka ani poznámky se nesdílí.`;
+    try {
+      render.qrCode(qrCode.encode(link));
+    } catch (error) {
+      render.qrCode(null);
+      shareInfo.textContent += ` ${error.message} Pošlete proto kolegovi odkaz.`;
+    }
+  }
+
+  async function handleShareOpen() {
+    if (!state.getState().names.length) {
+      alert('Třída nemá žádné žáky ke sdílení.');
+      return;
+    }
+    shareSettings.checked = false;
+    shareCopyBtn.textContent = '📋 Kopírovat odkaz';
+    try {
+      await refreshShareLink();
+      shareDialog.showModal();
+    } catch (error) {
+      alert('Odkaz pro sdílení se nepodařilo vytvořit: ' + error.message);
     }
-    history.forEach((entry) => {
-      const li = document.createElement('li');
-      li.className = 'rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm shadow-sm dark:border-slate-700 dark:bg-slate-900';
-      const name = namesMap.get(entry.key);
-      const text = name ? name.raw : entry.key;
-      const ts = utils.formatTimestamp(entry.ts);
-      li.textContent = ts ? `${ts} · ${text}` : text;
-      li.title = text;
-      historyList.appendChild(li);
-    });
   }
 
-  function renderHighlightList(names) {
-    highlightList.textContent = '';
-    names.forEach((name) => {
-      const li = document.createElement('li');
-      li.textContent = name.raw;
-      li.dataset.key = name.key;
-      li.className = 'rounded px-2 py-1 text-slate-600 dark:text-slate-300';
-      highlightList.appendChild(li);
-    });
+  async function handleShareCopy() {
+    try {
+      await navigator.clipboard.writeText(shareLink.value);
+      shareCopyBtn.textContent = '✓ Zkopírováno';
+    } catch (error) {
+      shareLink.select();
+      alert('Odkaz se nepodařilo zkopírovat automaticky. Je označený – zkopírujte ho pomocí Ctrl+C.');
+    }
   }
 
-  function highlightResult(key) {
-    highlightList.querySelectorAll('[data-key]').forEach((el) => {
-      if (el.dataset.key === key) {
-        el.classList.add('bg-accent/20', 'text-accent');
-      } else {
-        el.classList.remove('bg-accent/20', 'text-accent');
-      }
-    });
-    namesList.querySelectorAll('li').forEach((li) => {
-      const span = li.querySelector('span.truncate');
-      if (!span) return;
-      if (li.dataset.key === key) {
-        span.classList.add('text-accent');
+  /** A shared roster link opened the app: go through the import preview, never replace silently */
+  async function openSharedRoster() {
+    const { hash } = window.location;
+    if (!rosterShare.isShareLink(hash)) return;
+    // Drop the fragment so a reload does not offer the import again
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    try {
+      const report = [];
+      const incoming = await rosterShare.parse(hash, state.getState().settings, report);
+      if (!incoming) return;
+      await openImportPreview(incoming, report, `Sdílený odkaz (třída „${incoming.classKey}“, ${incoming.names.length} žáků)`);
+    } catch (error) {
+      alert('Sdílený seznam se nepodařilo otevřít: ' + error.message);
+    }
+  }
+
+  /** Load an imported payload into the current class and store it right away */
+  async function applyImport(payload, history) {
+    const { classKey } = payload;
+    // Undo needs the full history being replaced, not just the recent part
+    const archive = await historyDb.all(classKey);
+    await historyDb.replace(classKey, history);
+    lastWinnerKeys = utils.latestDrawKeys(payload.history);
+    historyPages = 1;
+    isHydrating = true;
+    state.replaceData(payload, { archive, replacement: history });
+    isHydrating = false;
+    storage.save(classKey, state.getState());
+  }
+
+  async function handleImportApply(mode) {
+    if (!pendingImport) return;
+    const { incoming, currentHistory, classKey } = pendingImport;
+    if (state.getState().classKey !== classKey) {
+      alert('Mezitím se změnila třída. Spusťte import znovu.');
+      importDialog.close();
+      return;
+    }
+    try {
+      if (mode === 'new') {
+        const suggestion = storage.exists(incoming.classKey) ? `${incoming.classKey} (import)` : incoming.classKey;
+        const target = promptClassKey('Název nové třídy pro import:', suggestion);
+        if (!target) return;
+        storage.save(target, { ...incoming, history: incoming.history.slice(0, RECENT_HISTORY_LIMIT) });
+        await historyDb.replace(target, incoming.history);
+        importDialog.close();
+        switchClass(target);
+      } else if (mode === 'merge') {
+        const merged = importMerge.merge(state.getState(), incoming, currentHistory);
+        await applyImport(merged.payload, merged.history);
+        importDialog.close();
       } else {
-        span.classList.remove('text-accent');
+        await applyImport({ ...incoming, classKey, history: incoming.history.slice(0, RECENT_HISTORY_LIMIT) }, incoming.history);
+        importDialog.close();
       }
+      pendingImport = null;
+      alert(`Import úspěšný! Třída „${state.getState().classKey}“ má ${state.getState().names.length} žáků.`);
+    } catch (error) {
+      alert('Chyba při importu: ' + error.message);
+    }
+  }
+
+  function csvDataRows() {
+    return csvHeader.checked ? csvRows.slice(1) : csvRows;
+  }
+
+  function csvLabels() {
+    const width = Math.max(0, ...csvRows.map((row) => row.length));
+    return Array.from({ length: width }, (_, index) =>
+      (csvHeader.checked && csvRows[0][index]) || `Sloupec ${index + 1}`
+    );
+  }
+
+  function readCsvMapping() {
+    const mapping = { classValue: csvClassValue.value, order: csvOrder.value };
+    csvMappingFields.querySelectorAll('[data-csv-field]').forEach((select) => {
+      mapping[select.dataset.csvField] = Number(select.value);
     });
+    return mapping;
   }
 
-  return {
-    names: renderNames,
-    winner: renderWinner,
-    history: renderHistory,
-    highlightList: renderHighlightList,
-    highlightResult
-  };
-})();
+  function refreshCsvClassValues() {
+    const column = Number(csvClassCol.value);
+    const values = column >= 0 ? [...new Set(csvDataRows().map((row) => row[column] ?? '').filter(Boolean))] : [];
+    render.csvClassValues(values.sort((a, b) => a.localeCompare(b, 'cs')), csvClassValue.value);
+  }
 
-const wheel = (() => {
-  const segmentsGroup = document.getElementById('wheelSegments');
-  let currentRotation = 0;
-  let currentNames = [];
-  let spinning = false;
+  function csvNames() {
+    const mapping = readCsvMapping();
+    return csvDataRows().map((row) => csv.nameFromRow(row, mapping));
+  }
 
-  function createSegmentPath(startAngle, endAngle, radius, index, total) {
-    const start = polarToCartesian(150, 150, radius, endAngle);
-    const end = polarToCartesian(150, 150, radius, startAngle);
-    const largeArcFlag = endAngle - startAngle <= 180 ? 0 : 1;
-    const pathData = [
-      `M 150 150`,
-      `L ${start.x} ${start.y}`,
-      `A ${radius} ${radius} 0 ${largeArcFlag} 0 ${end.x} ${end.y}`,
-      'Z'
-    ].join(' ');
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', pathData);
-    const palette = ['#1f7aec', '#9333ea', '#ec4899', '#f97316', '#0ea5e9', '#22c55e'];
-    path.setAttribute('fill', palette[index % palette.length]);
-    path.setAttribute('data-index', String(index));
-    path.setAttribute('data-total', String(total));
-    return path;
+  function refreshCsvPreview() {
+    const rows = csvDataRows();
+    const names = csvNames();
+    const count = names.filter(Boolean).length;
+    render.csvPreview(csvLabels(), rows.slice(0, 15), names.slice(0, 15));
+    csvSummary.textContent = `Bude přidáno ${count} žáků z ${rows.length} řádků.`;
+    csvConfirmBtn.disabled = count === 0;
   }
 
-  function polarToCartesian(cx, cy, radius, angleInDegrees) {
-    const angleInRadians = ((angleInDegrees - 90) * Math.PI) / 180.0;
-    return {
-      x: cx + radius * Math.cos(angleInRadians),
-      y: cy + radius * Math.sin(angleInRadians)
-    };
+  function remapCsvColumns(mapping) {
+    render.csvColumns(csvLabels(), mapping);
+    refreshCsvClassValues();
+    refreshCsvPreview();
   }
 
-  function update(names) {
-    currentNames = names;
-    segmentsGroup.textContent = '';
-    segmentsGroup.style.transform = `rotate(${currentRotation}deg)`;
-    if (!names.length) return;
-    const total = names.length;
-    const slice = 360 / total;
-    names.forEach((name, index) => {
-      const startAngle = index * slice;
-      const endAngle = startAngle + slice;
-      const path = createSegmentPath(startAngle, endAngle, 140, index, total);
-      path.setAttribute('data-key', name.key);
-      segmentsGroup.appendChild(path);
-      const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      text.setAttribute('x', '150');
-      text.setAttribute('y', '150');
-      text.setAttribute('class', 'wheel-label');
-      text.setAttribute('data-key', name.key);
-      text.textContent = name.raw;
-      text.setAttribute('transform', `rotate(${startAngle + slice / 2} 150 150) translate(0 -90)`);
-      segmentsGroup.appendChild(text);
-    });
+  function handleCsvImport() {
+    csvFileInput.click();
   }
 
-  function spinTo(index, durationMs, reduceMotion) {
-    if (!currentNames.length) return Promise.resolve();
-    const total = currentNames.length;
-    const slice = 360 / total;
-    if (reduceMotion) {
-      currentRotation = (360 - index * slice - slice / 2) % 360;
-      segmentsGroup.style.transform = `rotate(${currentRotation}deg)`;
-      return Promise.resolve(currentNames[index]);
+  async function handleCsvFileChange(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    try {
+      if (file.size === 0) throw new Error('Soubor je prázdný.');
+      if (file.size > 5 * 1024 * 1024) throw new Error('Soubor je příliš velký (max 5 MB).');
+      const { text, encoding } = csv.decode(await file.arrayBuffer());
+      const delimiter = csv.detectDelimiter(text);
+      csvRows = csv.parse(text, delimiter);
+      if (!csvRows.length) throw new Error('Soubor neobsahuje žádné řádky.');
+      const delimiterName = { ';': 'středník', ',': 'čárka', '\t': 'tabulátor', '|': 'svislítko' }[delimiter];
+      csvInfo.textContent = `${file.name} · kódování ${encoding} · oddělovač ${delimiterName} · ${csvRows.length} řádků`;
+      csvHeader.checked = true;
+      const mapping = csv.guessMapping(csvRows[0]);
+      if (mapping.first === -1 && mapping.last === -1 && mapping.display === -1) {
+        // No recognised header - assume the first column holds whole names
+        csvHeader.checked = false;
+        mapping.display = 0;
+      }
+      csvClassValue.value = '';
+      remapCsvColumns(mapping);
+      csvDialog.showModal();
+    } catch (error) {
+      alert('Chyba při načítání CSV: ' + error.message);
+    } finally {
+      csvFileInput.value = '';
     }
-    if (spinning) return Promise.resolve(null);
-    spinning = true;
-    const targetAngle = 360 * 5 + (360 - index * slice - slice / 2);
-    return new Promise((resolve) => {
-      const onTransitionEnd = () => {
-        segmentsGroup.removeEventListener('transitionend', onTransitionEnd);
-        segmentsGroup.style.transition = '';
-        currentRotation = targetAngle % 360;
-        spinning = false;
-        resolve(currentNames[index]);
-      };
-      requestAnimationFrame(() => {
-        segmentsGroup.addEventListener('transitionend', onTransitionEnd, { once: true });
-        segmentsGroup.style.transition = `transform ${durationMs}ms cubic-bezier(0.23, 1, 0.32, 1)`;
-        segmentsGroup.style.transform = `rotate(${targetAngle}deg)`;
-      });
-    });
   }
 
-  function stopEarly() {
-    if (!spinning) return;
-    segmentsGroup.dispatchEvent(new Event('transitionend'));
+  function handleCsvConfirm() {
+    const names = csvNames().filter(Boolean);
+    if (!names.length) return;
+    const snapshot = state.getState();
+    const merged = utils.mergeNames(snapshot.names, names);
+    const added = merged.length - snapshot.names.length;
+    state.setNames(merged);
+    csvDialog.close();
+    csvRows = [];
+    showUndoToast(`Import CSV dokončen. Přidáno ${added} nových žáků, ${names.length - added} jmen už v seznamu bylo.`);
   }
 
-  return {
-    update,
-    spinTo,
-    stopEarly,
-    isSpinning: () => spinning
-  };
-})();
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = filename;
+    document.body.appendChild(anchor);
+    anchor.click();
+    document.body.removeChild(anchor);
+    URL.revokeObjectURL(url);
+  }
 
-const ocr = (() => {
-  const workerBlob = new Blob([
-    `self.importScripts('https://cdn.jsdelivr.net/npm/tesseract.js@2/dist/tesseract.min.js');\n` +
-      `self.addEventListener('message', async (event) => {\n` +
-      `  const { id, image } = event.data;\n` +
-      `  try {\n` +
-      `    const result = await Tesseract.recognize(image, 'ces', {\n` +
-      `      langPath: 'https://tessdata.projectnaptha.com/4.0.0'\n` +
-      `    });\n` +
-      `    const text = result.data && result.data.text ? result.data.text : '';\n` +
-      `    self.postMessage({ id, status: 'done', text });\n` +
-      `  } catch (error) {\n` +
-      `    self.postMessage({ id, status: 'error', message: error.message });\n` +
-      `  }\n` +
-      `});`
-  ], { type: 'application/javascript' });
-  const workerUrl = URL.createObjectURL(workerBlob);
-  const worker = new Worker(workerUrl);
-  URL.revokeObjectURL(workerUrl);
-
-  const callbacks = new Map();
-  const OCR_TIMEOUT_MS = 60000; // 60 seconds
+  function handleExport() {
+    exportPassword.value = '';
+    exportPasswordConfirm.value = '';
+    syncExportFields();
+    exportDialog.showModal();
+  }
 
-  worker.addEventListener('message', (event) => {
-    const { id, status, text, message } = event.data;
-    const callback = callbacks.get(id);
-    if (!callback) return;
-    if (callback.timeoutId) {
-      clearTimeout(callback.timeoutId);
-    }
-    if (status === 'done') {
-      callback.resolve(text);
-    } else {
-      callback.reject(new Error(message || 'OCR selhalo.'));
-    }
-    callbacks.delete(id);
-  });
+  function syncExportFields() {
+    exportPassword.disabled = !exportEncrypt.checked;
+    exportPasswordConfirm.disabled = !exportEncrypt.checked;
+  }
 
-  worker.addEventListener('error', (error) => {
-    console.error('OCR Worker error:', error);
-    // Reject all pending callbacks
-    for (const [id, callback] of callbacks.entries()) {
-      if (callback.timeoutId) {
-        clearTimeout(callback.timeoutId);
+  async function handleExportConfirm() {
+    const passphrase = exportEncrypt.checked ? exportPassword.value : null;
+    if (passphrase !== null) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        alert(`Heslo musí mít alespoň ${MIN_PASSPHRASE_LENGTH} znaků.`);
+        return;
+      }
+      if (passphrase !== exportPasswordConfirm.value) {
+        alert('Hesla se neshodují.');
+        return;
       }
-      callback.reject(new Error('OCR worker selhal. Zkuste stránku znovu načíst.'));
     }
-    callbacks.clear();
-  });
+    const snapshot = state.getState();
+    let history = snapshot.history;
+    try {
+      history = await historyDb.all(snapshot.classKey);
+    } catch (error) {
+      logHistoryError(error);
+    }
+    const payload = storage.exportPayload({ ...snapshot, history });
+    exportConfirmBtn.disabled = true;
+    try {
+      const content = passphrase === null ? payload : await backupCrypto.encrypt(JSON.stringify(payload), passphrase);
+      const blob = new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `${snapshot.classKey || 'trida'}${passphrase === null ? '' : '-sifrovano'}.json`);
+      exportDialog.close();
+    } catch (error) {
+      alert('Export se nezdařil: ' + error.message);
+    } finally {
+      exportPassword.value = '';
+      exportPasswordConfirm.value = '';
+      exportConfirmBtn.disabled = false;
+    }
+  }
 
-  return {
-    recognize(imageDataUrl) {
-      const id = crypto.randomUUID();
-      return new Promise((resolve, reject) => {
-        const timeoutId = setTimeout(() => {
-          const callback = callbacks.get(id);
-          if (callback) {
-            callbacks.delete(id);
-            reject(new Error('OCR vypršel časový limit (60s). Zkuste menší obrázek.'));
-          }
-        }, OCR_TIMEOUT_MS);
+  /** Ask for the passphrase of an encrypted backup; resolves null when cancelled */
+  function askPassphrase(retry) {
+    passphraseMessage.textContent = retry
+      ? 'Nesprávné heslo. Zkuste to znovu.'
+      : 'Záloha je zašifrovaná. Zadejte heslo, které jste zvolili při exportu.';
+    passphraseMessage.classList.toggle('text-rose-600', retry);
+    passphraseInput.value = '';
+    passphraseDialog.returnValue = '';
+    passphraseDialog.showModal();
+    passphraseInput.focus();
+    return new Promise((resolve) => {
+      passphraseDialog.addEventListener(
+        'close',
+        () => {
+          const value = passphraseDialog.returnValue === 'ok' ? passphraseInput.value : null;
+          passphraseInput.value = '';
+          resolve(value);
+        },
+        { once: true }
+      );
+    });
+  }
 
-        callbacks.set(id, { resolve, reject, timeoutId });
-        try {
-          worker.postMessage({ id, image: imageDataUrl });
-        } catch (error) {
-          clearTimeout(timeoutId);
-          callbacks.delete(id);
-          reject(new Error('Nepodařilo se odeslat obrázek do OCR: ' + error.message));
-        }
+  function handleTeamGenerate() {
+    const snapshot = state.getState();
+    try {
+      currentTeams = teams.generate(state.getPresentNames(), {
+        mode: teamMode.value,
+        value: Number.parseInt(teamValue.value, 10),
+        rules: snapshot.teamRules,
+        balance: teamBalance.checked
       });
+      render.teams(currentTeams);
+      teamStatus.classList.remove('text-rose-600');
+      teamStatus.textContent = `Rozděleno do ${currentTeams.length} týmů.`;
+      teamGenerateBtn.textContent = '🔁 Rozdělit znovu';
+    } catch (error) {
+      currentTeams = null;
+      render.teams([]);
+      teamStatus.classList.add('text-rose-600');
+      teamStatus.textContent = error.message;
     }
-  };
-})();
-
-const ui = (() => {
-  const drawBtn = document.getElementById('drawBtn');
-  const stopBtn = document.getElementById('stopBtn');
-  const resetHistoryBtn = document.getElementById('resetHistoryBtn');
-  const addNamesBtn = document.getElementById('addNamesBtn');
-  const namesInput = document.getElementById('namesInput');
-  const namesListEl = document.getElementById('namesList');
-  const jsonImportBtn = document.getElementById('importJsonBtn');
-  const jsonFileInput = document.getElementById('jsonFileInput');
-  const exportJsonBtn = document.getElementById('exportJsonBtn');
-  const ocrBtn = document.getElementById('ocrBtn');
-  const ocrFileInput = document.getElementById('ocrFileInput');
-  const spinDuration = document.getElementById('spinDuration');
-  const motionMode = document.getElementById('motionMode');
-  const themeMode = document.getElementById('themeMode');
-  const themeToggle = document.getElementById('themeToggle');
-  const classKeyInput = document.getElementById('classKey');
-  const historyToggle = document.getElementById('toggleHistory');
-  const lockZones = document.querySelectorAll('[data-lock-zone]');
-
-  const mediaReduced = window.matchMedia('(prefers-reduced-motion: reduce)');
-  const mediaTheme = window.matchMedia('(prefers-color-scheme: dark)');
-
-  let currentReduced = mediaReduced.matches;
-  let lastWinnerKey = null;
-  let isHydrating = true;
-  let isDrawing = false;
+  }
 
-  function handleStateChange(snapshot, presentNames) {
-    classKeyInput.value = snapshot.classKey;
-    render.names(snapshot.names, snapshot.absentKeys);
-    render.highlightList(presentNames);
-    if (lastWinnerKey && !presentNames.some((n) => n.key === lastWinnerKey)) {
-      lastWinnerKey = null;
-      render.winner(null);
+  function handleTeamExport(format) {
+    if (!currentTeams) {
+      alert('Nejdříve rozdělte žáky do týmů.');
+      return;
     }
-    if (lastWinnerKey) {
-      render.highlightResult(lastWinnerKey);
+    const classKey = state.getState().classKey || 'trida';
+    if (format === 'csv') {
+      // BOM so spreadsheet apps detect UTF-8
+      const blob = new Blob(['\ufeff' + teams.toCsv(currentTeams)], { type: 'text/csv;charset=utf-8' });
+      downloadBlob(blob, `${classKey}-tymy.csv`);
     } else {
-      render.highlightResult(null);
+      const blob = new Blob([teams.toText(currentTeams)], { type: 'text/plain;charset=utf-8' });
+      downloadBlob(blob, `${classKey}-tymy.txt`);
     }
-    const namesMap = new Map(snapshot.names.map((n) => [n.key, n]));
-    if (lastWinnerKey && namesMap.has(lastWinnerKey)) {
-      render.winner(namesMap.get(lastWinnerKey));
+  }
+
+  function handleTeamRuleAdd() {
+    const a = teamRuleA.value;
+    const b = teamRuleB.value;
+    const type = teamRuleType.value;
+    if (!a || !b || a === b) {
+      alert('Vyberte dva různé žáky.');
+      return;
     }
-    render.history(snapshot.history, namesMap);
-    updateButtons(snapshot);
-    updateSettings(snapshot.settings);
-    if (!isHydrating) {
-      storage.save(snapshot.classKey, snapshot);
+    const rules = state.getState().teamRules;
+    const samePair = (rule) => (rule.a === a && rule.b === b) || (rule.a === b && rule.b === a);
+    state.setTeamRules([...rules.filter((rule) => !samePair(rule)), { a, b, type }]);
+  }
+
+  function handleTeamRuleRemove(event) {
+    const button = event.target.closest('button[data-rule-index]');
+    if (!button) return;
+    const index = Number(button.dataset.ruleIndex);
+    state.setTeamRules(state.getState().teamRules.filter((_, i) => i !== index));
+  }
+
+  function handleTagChange(event) {
+    const target = event.target;
+    if (!(target instanceof HTMLInputElement) || !target.dataset.key) return;
+    state.setNameTag(target.dataset.key, target.value.trim().slice(0, MAX_TAG_LENGTH));
+  }
+
+  /** Canvas with `source` turned by `-degrees` around its centre on a white background */
+  function rotateCanvas(source, degrees) {
+    const radians = (-degrees * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(source.width * cos + source.height * sin);
+    canvas.height = Math.round(source.width * sin + source.height * cos);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(radians);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+  }
+
+  /**
+   * Crop, upscale, deskew and binarize an image for OCR.
+   * Returns { dataUrl, skew } where skew is the corrected tilt in degrees.
+   */
+  function preprocessImage(image, crop, { method = 'adaptive', deskew = true } = {}) {
+    const sx = Math.round(crop.x * image.width);
+    const sy = Math.round(crop.y * image.height);
+    const sw = Math.max(1, Math.round(crop.width * image.width));
+    const sh = Math.max(1, Math.round(crop.height * image.height));
+    const scale = Math.min(
+      Math.max(1, Math.min(OCR_MAX_UPSCALE, OCR_TARGET_WIDTH / sw)),
+      Math.sqrt(OCR_MAX_PIXELS / (sw * sh))
+    );
+    let canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(sw * scale));
+    canvas.height = Math.max(1, Math.round(sh * scale));
+    let ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+    const threshold = () => {
+      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const gray = imageFilters.grayscale(imageData.data);
+      const binary =
+        method === 'otsu'
+          ? imageFilters.binarize(gray, imageFilters.otsu(gray))
+          : imageFilters.adaptive(gray, canvas.width, canvas.height);
+      return { imageData, binary };
+    };
+    let { imageData, binary } = threshold();
+    let skew = deskew ? imageFilters.skewAngle(binary, canvas.width, canvas.height) : 0;
+    if (Math.abs(skew) >= OCR_MIN_SKEW_DEG) {
+      // Rotate the original rather than the binary image so the threshold sees smooth edges
+      canvas = rotateCanvas(canvas, skew);
+      ctx = canvas.getContext('2d');
+      ({ imageData, binary } = threshold());
+    } else {
+      skew = 0;
     }
+    imageFilters.fillRgba(imageData.data, binary);
+    ctx.putImageData(imageData, 0, 0);
+    return { dataUrl: canvas.toDataURL('image/png'), skew };
+  }
+
+  /** Original image with the selected region highlighted */
+  function drawOcrCrop() {
+    const { image, crop } = ocrSource;
+    const ctx = ocrCropCanvas.getContext('2d');
+    const width = ocrCropCanvas.width;
+    const height = ocrCropCanvas.height;
+    ctx.drawImage(image, 0, 0, width, height);
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.55)';
+    const x = crop.x * width;
+    const y = crop.y * height;
+    const w = crop.width * width;
+    const h = crop.height * height;
+    ctx.fillRect(0, 0, width, y);
+    ctx.fillRect(0, y + h, width, height - y - h);
+    ctx.fillRect(0, y, x, h);
+    ctx.fillRect(x + w, y, width - x - w, h);
+    ctx.strokeStyle = '#1f7aec';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, w, h);
+  }
+
+  function updateOcrPreview() {
+    const { dataUrl, skew } = preprocessImage(ocrSource.image, ocrSource.crop, {
+      method: ocrThreshold.value,
+      deskew: ocrDeskew.checked
+    });
+    ocrSource.dataUrl = dataUrl;
+    ocrAfterImage.src = dataUrl;
+    const { crop } = ocrSource;
+    const area = crop.width === 1 && crop.height === 1 ? 'celý obrázek' : 'vybraná oblast';
+    const straightened = skew ? `, narovnáno o ${Math.abs(skew).toLocaleString('cs-CZ')}°` : '';
+    ocrPrepareInfo.textContent = `Rozpoznává se ${area}${straightened}.`;
+  }
+
+  /** Open the crop/threshold step for an image or canvas; `crop` presets the selection */
+  function openOcrPrepare(image, crop = { x: 0, y: 0, width: 1, height: 1 }) {
+    ocrSource = { image, crop, dataUrl: null };
+    const fit = Math.min(1, 900 / image.width);
+    ocrCropCanvas.width = Math.max(1, Math.round(image.width * fit));
+    ocrCropCanvas.height = Math.max(1, Math.round(image.height * fit));
+    drawOcrCrop();
+    updateOcrPreview();
+    ocrPrepareDialog.showModal();
+  }
+
+  function cropPoint(event) {
+    const rect = ocrCropCanvas.getBoundingClientRect();
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    return {
+      x: clamp((event.clientX - rect.left) / (rect.width || 1)),
+      y: clamp((event.clientY - rect.top) / (rect.height || 1))
+    };
+  }
+
+  function handleCropPointerDown(event) {
+    if (!ocrSource) return;
+    cropDrag = cropPoint(event);
+    ocrCropCanvas.setPointerCapture?.(event.pointerId);
+  }
+
+  function handleCropPointerMove(event) {
+    if (!cropDrag) return;
+    const point = cropPoint(event);
+    ocrSource.crop = {
+      x: Math.min(cropDrag.x, point.x),
+      y: Math.min(cropDrag.y, point.y),
+      width: Math.abs(point.x - cropDrag.x),
+      height: Math.abs(point.y - cropDrag.y)
+    };
+    drawOcrCrop();
   }
 
-  function updateButtons(snapshot) {
-    const present = snapshot.names.filter((n) => !snapshot.absentKeys.has(n.key));
-    const disabled = present.length <= 1;
-    drawBtn.disabled = disabled;
-    drawBtn.setAttribute('aria-disabled', String(disabled));
+  function handleCropPointerUp(event) {
+    if (!cropDrag) return;
+    handleCropPointerMove(event);
+    cropDrag = null;
+    // A click or a sliver selects nothing useful, treat it as "whole image"
+    if (ocrSource.crop.width < 0.02 || ocrSource.crop.height < 0.02) {
+      ocrSource.crop = { x: 0, y: 0, width: 1, height: 1 };
+      drawOcrCrop();
+    }
+    updateOcrPreview();
   }
 
-  function updateSettings(settings) {
-    spinDuration.value = settings.spinMs;
-    motionMode.value = settings.reducedMotionMode;
-    themeMode.value = settings.theme;
-    applyMotionPreference(settings.reducedMotionMode);
-    applyTheme(settings.theme);
+  function handleCropReset() {
+    ocrSource.crop = { x: 0, y: 0, width: 1, height: 1 };
+    drawOcrCrop();
+    updateOcrPreview();
   }
 
-  function applyTheme(mode) {
-    const root = document.documentElement;
-    if (mode === 'dark') {
-      root.classList.add('dark');
-    } else if (mode === 'light') {
-      root.classList.remove('dark');
-    } else {
-      if (mediaTheme.matches) {
-        root.classList.add('dark');
-      } else {
-        root.classList.remove('dark');
-      }
-    }
+  function handleOcrImport() {
+    ocrFileInput.click();
   }
 
-  function applyMotionPreference(mode) {
-    const body = document.body;
-    if (!body) return;
-    if (mode === 'on') {
-      body.dataset.motionPreference = 'on';
-    } else if (mode === 'off') {
-      body.dataset.motionPreference = 'off';
-    } else {
-      delete body.dataset.motionPreference;
-    }
+  /** Show recognised lines for review; likely non-names and duplicates start unticked */
+  function openOcrReview(lines) {
+    const flags = ocrReview.flags(
+      lines.map((line) => line.text),
+      state.getState().names
+    );
+    ocrLines = lines.map((line, index) => ({ ...line, include: !flags[index].reason && !flags[index].duplicate }));
+    render.ocrReview(ocrLines, flags);
+    updateOcrSummary();
+    ocrDialog.showModal();
   }
 
-  function shouldReduceMotion(settings) {
-    if (settings.reducedMotionMode === 'on') return true;
-    if (settings.reducedMotionMode === 'off') return false;
-    return currentReduced;
+  function updateOcrSummary() {
+    const count = ocrLines.filter((line) => line.include && line.text.trim()).length;
+    ocrSummary.textContent = `Vybráno ${count} z ${ocrLines.length} řádků.`;
+    ocrConfirmBtn.disabled = count === 0;
   }
 
-  function lockInteractions(lock) {
-    lockZones.forEach((zone) => {
-      if (lock) {
-        zone.setAttribute('inert', '');
-        zone.setAttribute('aria-disabled', 'true');
-      } else {
-        zone.removeAttribute('inert');
-        zone.removeAttribute('aria-disabled');
-      }
-    });
-    [addNamesBtn, jsonImportBtn, exportJsonBtn, ocrBtn, themeToggle, historyToggle, namesInput, jsonFileInput, ocrFileInput, spinDuration, motionMode, themeMode, classKeyInput].forEach((el) => {
-      if (!el) return;
-      if (el === stopBtn || el === resetHistoryBtn) return;
-      if (lock) {
-        el.setAttribute('aria-disabled', 'true');
-        el.disabled = true;
-      } else {
-        el.removeAttribute('aria-disabled');
-        if ('disabled' in el) el.disabled = false;
-      }
-    });
-    if (lock) {
-      drawBtn.disabled = true;
-      drawBtn.setAttribute('aria-disabled', 'true');
-    } else {
-      updateButtons(state.getState());
+  function handleOcrReviewInput(event) {
+    const row = event.target.closest('tr[data-index]');
+    if (!row) return;
+    const line = ocrLines[Number(row.dataset.index)];
+    if (event.target.dataset.field === 'include') {
+      line.include = event.target.checked;
+    } else if (event.target.dataset.field === 'text') {
+      line.text = event.target.value;
+      render.ocrFlags(
+        ocrReview.flags(
+          ocrLines.map((item) => item.text),
+          state.getState().names
+        )
+      );
     }
+    updateOcrSummary();
   }
 
-  function addNamesFromInput() {
-    const raw = utils.sanitizeRawInput(namesInput.value);
+  function handleOcrConfirm() {
+    const raw = utils.sanitizeRawInput(
+      ocrLines
+        .filter((line) => line.include)
+        .map((line) => line.text)
+        .join('\n')
+    );
     if (!raw.length) return;
     const snapshot = state.getState();
     const merged = utils.mergeNames(snapshot.names, raw);
     state.setNames(merged);
-    namesInput.value = '';
-  }
-
-  async function handleDraw() {
-    // Prevent double-click and concurrent draws
-    if (isDrawing || wheel.isSpinning()) return;
-    isDrawing = true;
-
-    const snapshot = state.getState();
-    const present = snapshot.names.filter((n) => !snapshot.absentKeys.has(n.key));
-    if (present.length === 0) {
-      isDrawing = false;
-      return;
-    }
-
-    const index = rng.index(present.length);
-    const reduceMotion = shouldReduceMotion(snapshot.settings);
-    lockInteractions(true);
-    let selected = null;
-    try {
-      selected = await wheel.spinTo(index, snapshot.settings.spinMs, reduceMotion);
-    } finally {
-      lockInteractions(false);
-      isDrawing = false;
-    }
-    if (!selected) return;
-    lastWinnerKey = selected.key;
-    render.winner(selected);
-    render.highlightResult(selected.key);
-    state.addHistory({ key: selected.key, ts: new Date().toISOString(), id: crypto.randomUUID() });
+    ocrLines = [];
+    ocrDialog.close();
+    showUndoToast(`Z fotografie přidáno ${merged.length - snapshot.names.length} žáků.`);
   }
 
-  function handleStop() {
-    wheel.stopEarly();
+  function showOcrProgress({ label, progress }) {
+    ocrProgress.classList.remove('hidden');
+    ocrProgress.value = progress;
+    ocrStatus.textContent = `${label}… ${Math.round(progress * 100)} %`;
   }
 
-  function handleResetHistory() {
-    state.resetHistory();
+  function hideOcrProgress() {
+    ocrProgress.classList.add('hidden');
   }
 
-  function handleAbsentToggle(event) {
-    const target = event.target;
-    if (!(target instanceof HTMLInputElement)) return;
-    if (!target.dataset.key) return;
-    const key = target.dataset.key;
-    const isAbsent = target.checked;
-    // Immediate UI update for better responsiveness
-    const li = target.closest('li');
-    if (li) {
-      const statusSpan = li.querySelector('span.text-xs');
-      if (statusSpan) {
-        statusSpan.textContent = isAbsent ? 'Nepřítomen' : 'Přítomen';
-      }
+  async function refreshOcrStatus() {
+    try {
+      const offline = await ocr.isAvailableOffline();
+      ocrStatus.textContent = offline
+        ? '✓ OCR je připravené i bez internetu.'
+        : 'OCR se stáhne při prvním použití (asi 11 MB), poté funguje i offline.';
+      ocrDownloadBtn.classList.toggle('hidden', offline);
+    } catch (error) {
+      ocrStatus.textContent = '';
     }
-    state.toggleAbsent(key, isAbsent);
   }
 
-  function handleJsonImport() {
-    jsonFileInput.click();
+  async function handleOcrDownload() {
+    ocrDownloadBtn.disabled = true;
+    try {
+      await ocr.download((progress) => showOcrProgress({ label: 'Stahuji OCR pro offline použití', progress }));
+    } catch (error) {
+      alert('Stažení OCR se nezdařilo: ' + error.message);
+    } finally {
+      ocrDownloadBtn.disabled = false;
+      hideOcrProgress();
+      refreshOcrStatus();
+    }
   }
 
-  function handleJsonFileChange(event) {
+  function handleOcrFileChange(event) {
     const file = event.target.files && event.target.files[0];
     if (!file) return;
-    if (file.size === 0) {
-      alert('Soubor je prázdný. Vyberte platný JSON soubor.');
-      jsonFileInput.value = '';
-      return;
-    }
-    if (file.size > 5 * 1024 * 1024) {
-      alert('Soubor je příliš velký (max 5 MB).');
-      jsonFileInput.value = '';
-      return;
-    }
-    const reader = new FileReader();
-    reader.onload = () => {
+    const image = new Image();
+    image.onload = () => {
+      ocrFileInput.value = '';
       try {
-        const payload = storage.importPayload(reader.result);
-        lastWinnerKey = payload.history.length ? payload.history[0].key : null;
-        isHydrating = true;
-        state.setClassKey(payload.classKey);
-        state.updateFromStorage(payload);
-        isHydrating = false;
-        alert(`Import úspěšný! Načteno ${payload.names.length} žáků.`);
+        openOcrPrepare(image);
       } catch (error) {
-        alert('Chyba při importu: ' + error.message);
-      } finally {
-        jsonFileInput.value = '';
+        alert('Obrázek se nepodařilo upravit: ' + error.message);
       }
     };
-    reader.onerror = () => {
-      alert('Chyba při čtení souboru. Zkuste to prosím znovu.');
-      jsonFileInput.value = '';
+    image.onerror = () => {
+      alert('Obrázek se nepodařilo načíst.');
+      ocrFileInput.value = '';
     };
-    reader.readAsText(file);
+    const reader = new FileReader();
+    reader.onload = () => {
+      image.src = reader.result;
+    };
+    reader.readAsDataURL(file);
   }
 
-  function handleExport() {
-    const snapshot = state.getState();
-    const payload = storage.exportPayload(snapshot);
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const anchor = document.createElement('a');
-    anchor.href = url;
-    anchor.download = `${snapshot.classKey || 'trida'}.json`;
-    document.body.appendChild(anchor);
-    anchor.click();
-    document.body.removeChild(anchor);
-    URL.revokeObjectURL(url);
+  async function handleCameraOpen() {
+    cameraError.classList.add('hidden');
+    cameraCaptureBtn.disabled = true;
+    cameraDialog.showModal();
+    try {
+      await camera.start(cameraVideo);
+      // Closed while the permission prompt was up
+      if (!cameraDialog.open) {
+        camera.stop();
+        return;
+      }
+      cameraCaptureBtn.disabled = false;
+    } catch (error) {
+      cameraError.textContent = `${error.message} Můžete místo toho vybrat uložený obrázek.`;
+      cameraError.classList.remove('hidden');
+    }
   }
 
-  function preprocessImage(image) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const scale = 1;
-    canvas.width = image.width * scale;
-    canvas.height = image.height * scale;
-    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
-    for (let i = 0; i < data.length; i += 4) {
-      const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
-      const value = avg > 140 ? 255 : 0;
-      data[i] = data[i + 1] = data[i + 2] = value;
+  function handleCameraCapture() {
+    let still;
+    try {
+      still = camera.capture(cameraVideo);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    // The alignment frame is placed in percent of the video box, which keeps the frame's aspect ratio
+    const frame = cameraFrame.getBoundingClientRect();
+    const box = cameraVideo.getBoundingClientRect();
+    const crop =
+      box.width && box.height
+        ? {
+            x: (frame.left - box.left) / box.width,
+            y: (frame.top - box.top) / box.height,
+            width: frame.width / box.width,
+            height: frame.height / box.height
+          }
+        : undefined;
+    cameraDialog.close();
+    try {
+      openOcrPrepare(still, crop);
+    } catch (error) {
+      alert('Obrázek se nepodařilo upravit: ' + error.message);
     }
-    ctx.putImageData(imageData, 0, 0);
-    return canvas.toDataURL('image/png');
   }
 
-  function handleOcrImport() {
+  function handleCameraFile() {
+    cameraDialog.close();
     ocrFileInput.click();
   }
 
-  function handleOcrFileChange(event) {
-    const file = event.target.files && event.target.files[0];
-    if (!file) return;
+  async function handleOcrRecognize() {
+    if (!ocrSource?.dataUrl) return;
+    const { dataUrl } = ocrSource;
+    ocrSource = null;
+    ocrPrepareDialog.close();
     // Set loading state
     const originalText = ocrBtn.textContent;
     ocrBtn.textContent = '⏳ Zpracovávám obrázek...';
     ocrBtn.disabled = true;
     ocrBtn.setAttribute('aria-busy', 'true');
-
-    const resetLoadingState = () => {
+    try {
+      const lines = (await ocr.recognize(dataUrl, showOcrProgress))
+        .map((line) => ({ ...line, text: line.text.normalize('NFC').replace(/\s+/g, ' ').trim() }))
+        .filter((line) => line.text);
+      if (lines.length === 0) {
+        alert('Z obrázku se nepodařilo rozpoznat žádný text. Zkuste jiný obrázek nebo výřez.');
+      } else {
+        openOcrReview(lines);
+      }
+    } catch (error) {
+      alert('Chyba při rozpoznávání textu: ' + error.message);
+    } finally {
       ocrBtn.textContent = originalText;
       ocrBtn.disabled = false;
       ocrBtn.removeAttribute('aria-busy');
-      ocrFileInput.value = '';
-    };
-
-    const image = new Image();
-    image.onload = async () => {
-      try {
-        const dataUrl = preprocessImage(image);
-        const text = await ocr.recognize(dataUrl);
-        const raw = utils.sanitizeRawInput(text);
-        if (raw.length === 0) {
-          alert('Z obrázku se nepodařilo rozpoznat žádný text. Zkuste jiný obrázek.');
-        } else {
-          const snapshot = state.getState();
-          const merged = utils.mergeNames(snapshot.names, raw);
-          state.setNames(merged);
-        }
-      } catch (error) {
-        alert('Chyba při rozpoznávání textu: ' + error.message);
-      } finally {
-        resetLoadingState();
-      }
-    };
-    image.onerror = () => {
-      alert('Obrázek se nepodařilo načíst.');
-      resetLoadingState();
-    };
-    const reader = new FileReader();
-    reader.onload = () => {
-      image.src = reader.result;
-    };
-    reader.readAsDataURL(file);
+      hideOcrProgress();
+      refreshOcrStatus();
+    }
   }
 
   function handleSpinDurationChange(event) {
     const value = Number.parseInt(event.target.value, 10);
     if (Number.isNaN(value)) return;
-    // Clamp value between 500 and 10000
-    const clamped = Math.max(500, Math.min(10000, value));
+    const clamped = Math.max(MIN_SPIN_MS, Math.min(MAX_SPIN_MS, value));
     if (clamped !== value) {
       // Reset input to clamped value if out of range
       event.target.value = clamped;
@@ -893,6 +5602,20 @@ const ui = (() => {
     applyTheme(value);
   }
 
+  function handleDrawModeChange(event) {
+    state.setSettings({ drawMode: event.target.value });
+  }
+
+  function handleCooldownChange(event) {
+    const value = Number.parseInt(event.target.value, 10);
+    if (Number.isNaN(value)) return;
+    const clamped = Math.max(0, Math.min(MAX_COOLDOWN, value));
+    if (clamped !== value) {
+      event.target.value = clamped;
+    }
+    state.setSettings({ cooldown: clamped });
+  }
+
   function handleThemeToggle() {
     const snapshot = state.getState();
     const next = snapshot.settings.theme === 'dark' ? 'light' : 'dark';
@@ -900,17 +5623,22 @@ const ui = (() => {
     applyTheme(next);
   }
 
-  function handleClassKeyChange(event) {
-    const key = event.target.value.trim() || DEFAULT_CLASS_KEY;
+  function switchClass(key) {
     isHydrating = true;
+    hideToast();
+    editingKey = null;
     // Clear current winner before loading new class
-    lastWinnerKey = null;
-    render.winner(null);
+    lastWinnerKeys = [];
+    render.winner([]);
+    currentTeams = null;
+    render.teams([]);
     state.setClassKey(key);
-    const stored = storage.load(key);
+    historyPages = 1;
+    const stored = loadStored(key);
     if (stored) {
-      lastWinnerKey = stored.history.length ? stored.history[0].key : null;
+      lastWinnerKeys = utils.latestDrawKeys(stored.history);
       state.updateFromStorage(stored);
+      syncHistoryStore(key, stored.history);
     } else {
       state.updateFromStorage({
         names: [],
@@ -919,19 +5647,165 @@ const ui = (() => {
         settings: { ...DEFAULT_SETTINGS }
       });
     }
+    storage.setActiveClass(key);
     isHydrating = false;
   }
 
+  /** Bullet list of validation repairs, shortened for an alert */
+  function describeReport(report) {
+    const lines = report.slice(0, MAX_REPORT_LINES).map((line) => `• ${line}`);
+    if (report.length > MAX_REPORT_LINES) lines.push(`… a dalších ${report.length - MAX_REPORT_LINES}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Load a stored class; repaired data is saved back so the notice shows only once.
+   * Data that cannot be read is reported and left as it is (saving skips it).
+   */
+  function loadStored(classKey) {
+    const report = [];
+    let stored;
+    try {
+      stored = storage.load(classKey, report);
+    } catch (error) {
+      console.error(`Chyba při načítání třídy ${classKey}`, error);
+      alert(
+        `Uloženou třídu „${classKey}“ nelze načíst: ${error.message}\n` +
+          'Třída se otevře prázdná a změny v ní se neuloží, aby se uložená data nepřepsala. ' +
+          'Pokud byla uložena novější verzí aplikace, obnovte stránku.'
+      );
+      return null;
+    }
+    if (stored) storage.track(classKey, stored);
+    if (stored && report.length) {
+      console.warn(`Opravy uložených dat třídy ${classKey}`, report);
+      storage.save(classKey, stored);
+      alert(`Uložená data třídy „${classKey}“ byla poškozená a byla opravena:\n${describeReport(report)}`);
+    }
+    return stored;
+  }
+
+  /** Copy the snapshot's recent entries into IndexedDB, then show the full list */
+  function syncHistoryStore(classKey, recent) {
+    historyDb
+      .migrate(classKey, recent)
+      .then(() => refreshHistory(state.getState()))
+      .catch(logHistoryError);
+  }
+
+  /** Ask for a class key that is not taken yet; null when cancelled */
+  function promptClassKey(message, initial = '') {
+    const answer = prompt(message, initial);
+    if (answer === null) return null;
+    const key = utils.normalizeClassKey(answer);
+    if (!key || key === NEW_CLASS_OPTION) {
+      alert('Název třídy nesmí být prázdný.');
+      return null;
+    }
+    if (storage.exists(key) || key === state.getState().classKey) {
+      alert(`Třída „${key}“ už existuje.`);
+      return null;
+    }
+    return key;
+  }
+
+  function handleNewClass() {
+    const key = promptClassKey('Název nové třídy:');
+    if (key) switchClass(key);
+    if (classDialog.open) refreshClassDialog();
+    return key;
+  }
+
+  function handleClassKeyChange(event) {
+    const value = event.target.value;
+    if (value === NEW_CLASS_OPTION) {
+      if (!handleNewClass()) render.classOptions(storage.listClassKeys(), state.getState().classKey);
+      return;
+    }
+    switchClass(value || DEFAULT_CLASS_KEY);
+  }
+
+  function refreshClassDialog() {
+    const current = state.getState().classKey;
+    const classes = storage.listClasses();
+    if (!classes.some((item) => item.classKey === current)) {
+      const snapshot = state.getState();
+      classes.push({
+        classKey: current,
+        count: snapshot.names.length,
+        lastDraw: snapshot.history.length ? snapshot.history[0].ts : null
+      });
+    }
+    render.classTable(classes, current);
+  }
+
+  function handleManageClasses() {
+    refreshClassDialog();
+    classDialog.showModal();
+  }
+
+  async function handleClassAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const classKey = button.closest('tr').dataset.classKey;
+    const current = state.getState().classKey;
+    try {
+      if (button.dataset.action === 'switch') {
+        switchClass(classKey);
+      } else if (button.dataset.action === 'rename') {
+        const target = promptClassKey(`Nový název třídy „${classKey}“:`, classKey);
+        if (!target) return;
+        if (storage.exists(classKey)) storage.rename(classKey, target);
+        // The history has to be in place before the class switch refreshes it
+        await historyDb.renameClass(classKey, target).catch(logHistoryError);
+        state.moveUndo(classKey, target);
+        if (classKey === current) {
+          state.setClassKey(target);
+          storage.setActiveClass(target);
+        }
+      } else if (button.dataset.action === 'duplicate') {
+        const target = promptClassKey(`Název kopie třídy „${classKey}“ (zkopíruje se jen seznam žáků):`, `${classKey} (kopie)`);
+        if (!target) return;
+        if (classKey === current) storage.save(current, state.getState());
+        storage.duplicate(classKey, target);
+      } else if (button.dataset.action === 'delete') {
+        if (!confirm(`Opravdu smazat třídu „${classKey}“ včetně historie? Tuto akci nelze vrátit.`)) return;
+        storage.remove(classKey);
+        historyDb.clear(classKey).catch(logHistoryError);
+        state.dropUndo(classKey);
+        if (classKey === current) {
+          const [next] = storage.listClassKeys();
+          switchClass(next ?? DEFAULT_CLASS_KEY);
+        }
+      }
+    } catch (error) {
+      alert('Chyba při správě tříd: ' + error.message);
+    }
+    render.classOptions(storage.listClassKeys(), state.getState().classKey);
+    refreshClassDialog();
+  }
+
   function handleHistoryToggle() {
     const expanded = historyToggle.getAttribute('aria-expanded') === 'true';
     historyToggle.setAttribute('aria-expanded', String(!expanded));
-    document.getElementById('historyList').classList.toggle('hidden', expanded);
+    document.getElementById('historyPanel').classList.toggle('hidden', expanded);
   }
 
   function handleKeyboard(event) {
     if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) {
       return;
     }
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+      return;
+    }
+    // Leave other shortcuts (Ctrl+R reload etc.) to the browser
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
     if (event.key === 'Enter' || event.key.toLowerCase() === 'z') {
       event.preventDefault();
       handleDraw();
@@ -942,29 +5816,107 @@ const ui = (() => {
     }
   }
 
+  function handleSnapshot(snapshot) {
+    handleStateChange(snapshot, state.getPresentNames(), state.getWheelNames(), state.getCooldown());
+    syncWheel(snapshot);
+  }
+
   function init() {
-    state.subscribe((snapshot) => {
-      const present = state.getPresentNames();
-      handleStateChange(snapshot, present);
-      wheel.update(present);
-    });
+    state.subscribe(handleSnapshot);
 
     drawBtn.addEventListener('click', handleDraw);
     stopBtn.addEventListener('click', handleStop);
     resetHistoryBtn.addEventListener('click', handleResetHistory);
+    undoBtn.addEventListener('click', handleUndo);
+    redoBtn.addEventListener('click', handleRedo);
+    toastUndoBtn.addEventListener('click', handleUndo);
+    clearAbsentBtn.addEventListener('click', handleClearAbsent);
     addNamesBtn.addEventListener('click', addNamesFromInput);
     namesListEl.addEventListener('change', handleAbsentToggle);
+    namesListEl.addEventListener('click', handleNameAction);
+    namesListEl.addEventListener('submit', handleNameEditSubmit);
+    namesListEl.addEventListener('keydown', handleNameEditKeydown);
     jsonImportBtn.addEventListener('click', handleJsonImport);
     jsonFileInput.addEventListener('change', handleJsonFileChange);
     exportJsonBtn.addEventListener('click', handleExport);
     ocrBtn.addEventListener('click', handleOcrImport);
     ocrFileInput.addEventListener('change', handleOcrFileChange);
+    ocrDownloadBtn.addEventListener('click', handleOcrDownload);
+    ocrCropCanvas.addEventListener('pointerdown', handleCropPointerDown);
+    ocrCropCanvas.addEventListener('pointermove', handleCropPointerMove);
+    ocrCropCanvas.addEventListener('pointerup', handleCropPointerUp);
+    ocrCropCanvas.addEventListener('pointercancel', handleCropPointerUp);
+    ocrCropResetBtn.addEventListener('click', handleCropReset);
+    ocrThreshold.addEventListener('change', updateOcrPreview);
+    ocrDeskew.addEventListener('change', updateOcrPreview);
+    ocrRecognizeBtn.addEventListener('click', handleOcrRecognize);
+    cameraBtn.addEventListener('click', handleCameraOpen);
+    updateReloadBtn.addEventListener('click', handleUpdateReload);
+    presentBtn.classList.toggle('hidden', !presentation.isSupported());
+    presentBtn.addEventListener('click', () => presentation.open());
+    window.addEventListener('pagehide', () => presentation.publishBye());
+    window.addEventListener('storage', handleStorageEvent);
+    window.addEventListener('hashchange', openSharedRoster);
+    shareBtn.addEventListener('click', handleShareOpen);
+    shareSettings.addEventListener('change', refreshShareLink);
+    shareCopyBtn.addEventListener('click', handleShareCopy);
+    updateDismissBtn.addEventListener('click', () => updateBanner.classList.add('hidden'));
+    cameraCaptureBtn.addEventListener('click', handleCameraCapture);
+    cameraFileBtn.addEventListener('click', handleCameraFile);
+    cameraDialog.addEventListener('close', () => {
+      camera.stop();
+      cameraVideo.srcObject = null;
+    });
+    ocrPrepareDialog.addEventListener('close', () => {
+      ocrSource = null;
+    });
+    ocrReviewBody.addEventListener('input', handleOcrReviewInput);
+    ocrReviewBody.addEventListener('change', handleOcrReviewInput);
+    ocrConfirmBtn.addEventListener('click', handleOcrConfirm);
+    csvImportBtn.addEventListener('click', handleCsvImport);
+    csvFileInput.addEventListener('change', handleCsvFileChange);
+    csvHeader.addEventListener('change', () => remapCsvColumns(readCsvMapping()));
+    csvClassCol.addEventListener('change', refreshCsvClassValues);
+    csvMappingFields.addEventListener('change', refreshCsvPreview);
+    csvConfirmBtn.addEventListener('click', handleCsvConfirm);
     spinDuration.addEventListener('change', handleSpinDurationChange);
     motionMode.addEventListener('change', handleMotionModeChange);
     themeMode.addEventListener('change', handleThemeModeChange);
+    drawMode.addEventListener('change', handleDrawModeChange);
+    cooldownInput.addEventListener('change', handleCooldownChange);
     themeToggle.addEventListener('click', handleThemeToggle);
     classKeyInput.addEventListener('change', handleClassKeyChange);
+    manageClassesBtn.addEventListener('click', handleManageClasses);
+    classTableBody.addEventListener('click', handleClassAction);
+    newClassBtn.addEventListener('click', handleNewClass);
     historyToggle.addEventListener('click', handleHistoryToggle);
+    historyStudent.addEventListener('change', handleHistoryFilterChange);
+    historyFrom.addEventListener('change', handleHistoryFilterChange);
+    historyTo.addEventListener('change', handleHistoryFilterChange);
+    historyMoreBtn.addEventListener('click', handleHistoryMore);
+    outcomePanel.addEventListener('click', handleOutcomeClick);
+    outcomePanel.addEventListener('change', handleOutcomeChange);
+    statsBtn.addEventListener('click', handleStatsOpen);
+    exportEncrypt.addEventListener('change', syncExportFields);
+    exportConfirmBtn.addEventListener('click', handleExportConfirm);
+    importReplaceBtn.addEventListener('click', () => handleImportApply('replace'));
+    importMergeBtn.addEventListener('click', () => handleImportApply('merge'));
+    importNewClassBtn.addEventListener('click', () => handleImportApply('new'));
+    importDialog.addEventListener('close', () => {
+      pendingImport = null;
+    });
+    reportBtn.addEventListener('click', handleReportOpen);
+    historyCsvBtn.addEventListener('click', () => handleReportCsv('history'));
+    summaryCsvBtn.addEventListener('click', () => handleReportCsv('summary'));
+    printReportBtn.addEventListener('click', handlePrintReport);
+    statsFrom.addEventListener('change', refreshStats);
+    statsTo.addEventListener('change', refreshStats);
+    teamGenerateBtn.addEventListener('click', handleTeamGenerate);
+    teamExportTextBtn.addEventListener('click', () => handleTeamExport('text'));
+    teamExportCsvBtn.addEventListener('click', () => handleTeamExport('csv'));
+    teamRuleAddBtn.addEventListener('click', handleTeamRuleAdd);
+    teamRulesList.addEventListener('click', handleTeamRuleRemove);
+    teamTagsList.addEventListener('change', handleTagChange);
 
     mediaReduced.addEventListener('change', (event) => {
       currentReduced = event.matches;
@@ -977,29 +5929,42 @@ const ui = (() => {
     });
     window.addEventListener('keydown', handleKeyboard);
 
-    const stored = storage.load(state.getState().classKey);
+    const activeClass = storage.getActiveClass();
+    if (activeClass) state.setClassKey(activeClass);
+    const stored = loadStored(state.getState().classKey);
     if (stored) {
-      lastWinnerKey = stored.history.length ? stored.history[0].key : null;
+      lastWinnerKeys = utils.latestDrawKeys(stored.history);
       state.updateFromStorage(stored);
+      syncHistoryStore(state.getState().classKey, stored.history);
     }
 
     document.getElementById('year').textContent = new Date().getFullYear();
     applyTheme(state.getState().settings.theme);
     render.highlightList(state.getPresentNames());
+    refreshOcrStatus();
     isHydrating = false;
+    openSharedRoster();
   }
 
   return {
-    init
+    init,
+    watchUpdates
   };
 })();
 
-ui.init();
+if (PRESENT_VIEW) {
+  presentation.initView();
+} else {
+  ui.init();
+}
 
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('service-worker.js').catch((error) => {
-      console.error('SW registrace selhala', error);
-    });
+    navigator.serviceWorker
+      .register('service-worker.js')
+      .then((registration) => ui.watchUpdates(registration))
+      .catch((error) => {
+        console.error('SW registrace selhala', error);
+      });
   });
 }
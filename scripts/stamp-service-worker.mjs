@@ -0,0 +1,28 @@
+// Stamp service-worker.js with a hash of the files it precaches, so every
+// deploy that changes the app shell also changes the worker and clients are
+// offered the update. Netlify runs this as part of the build (netlify.toml).
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const root = new URL('../', import.meta.url);
+const workerPath = fileURLToPath(new URL('service-worker.js', root));
+const source = readFileSync(workerPath, 'utf8');
+
+const manifest = source.match(/const PRECACHE_MANIFEST = (\[[^\]]*\]);/);
+const version = /const VERSION = '[^']*';/;
+if (!manifest || !version.test(source)) {
+  throw new Error('service-worker.js: PRECACHE_MANIFEST or VERSION not found');
+}
+
+// './' is served as index.html
+const files = [...new Set(JSON.parse(manifest[1].replace(/'/g, '"')).map((path) => (path === './' ? './index.html' : path)))];
+const hash = createHash('sha256');
+files.sort().forEach((path) => {
+  hash.update(path);
+  hash.update(readFileSync(new URL(path, root)));
+});
+const stamp = hash.digest('hex').slice(0, 12);
+
+writeFileSync(workerPath, source.replace(version, `const VERSION = '${stamp}';`));
+console.log(`service-worker.js: VERSION = ${stamp} (${files.join(', ')})`);
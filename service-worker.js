@@ -1,42 +1,102 @@
 // service-worker.js
-const CACHE_NAME = 'losovac-v4-static-v2';
-const ASSETS = ['./', './index.html', './app.js', './styles.css', './manifest.webmanifest'];
+// VERSION is a hash of the precached files, written by
+// scripts/stamp-service-worker.mjs during the deploy build: a changed worker
+// file is what makes browsers fetch the new precache and offer the update.
+// Unstamped local copies keep 'dev'.
+const VERSION = 'dev';
+const PRECACHE = `losovac-precache-v${VERSION}`;
+// App shell, served as one consistent version until the page activates the next one
+const PRECACHE_MANIFEST = ['./', './index.html', './app.js', './styles.css', './manifest.webmanifest'];
+// Everything else static (Tailwind CDN, icons) - served stale, refreshed in the background
+const RUNTIME_CACHE = 'losovac-runtime';
+// OCR engine and language data (several MB) - cached on first use or via the
+// app's download button, and kept across app versions. Same name as in app.js.
+const OCR_CACHE = 'losovac-ocr-v1';
+const OCR_PATH = '/vendor/tesseract/';
+
+const precacheUrls = PRECACHE_MANIFEST.map((path) => new URL(path, self.registration.scope).href);
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
     caches
-      .open(CACHE_NAME)
-      .then((cache) => cache.addAll(ASSETS))
-      .then(() => self.skipWaiting())
+      .open(PRECACHE)
+      // Bypass the HTTP cache so a new version never precaches an old app.js
+      .then((cache) => cache.addAll(PRECACHE_MANIFEST.map((path) => new Request(path, { cache: 'reload' }))))
   );
 });
 
 self.addEventListener('activate', (event) => {
+  const keep = [PRECACHE, RUNTIME_CACHE, OCR_CACHE];
   event.waitUntil(
     caches
       .keys()
-      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then((keys) => Promise.all(keys.filter((key) => !keep.includes(key)).map((key) => caches.delete(key))))
       .then(() => self.clients.claim())
   );
 });
 
-self.addEventListener('fetch', (event) => {
-  if (event.request.method !== 'GET') return;
-  event.respondWith(
-    caches.match(event.request).then((cached) => {
-      if (cached) return cached;
-      return fetch(event.request)
-        .then((response) => {
-          const clone = response.clone();
-          caches.open(CACHE_NAME).then((cache) => cache.put(event.request, clone));
+// The page decides when to switch (never in the middle of a draw)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+function offline() {
+  return new Response('Offline', { status: 503, statusText: 'Offline' });
+}
+
+function ocrCacheFirst(request) {
+  return caches.open(OCR_CACHE).then((cache) =>
+    cache.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          if (response.ok) cache.put(request, response.clone());
           return response;
         })
-        .catch(() => {
-          if (event.request.mode === 'navigate') {
-            return caches.match('./index.html');
-          }
-          return new Response('Offline', { status: 503, statusText: 'Offline' });
-        });
+    )
+  );
+}
+
+function precached(request) {
+  return caches.open(PRECACHE).then((cache) => {
+    const lookup = request.mode === 'navigate' ? cache.match('./index.html') : cache.match(request, { ignoreSearch: true });
+    return lookup.then((cached) => cached || fetch(request).catch(offline));
+  });
+}
+
+function staleWhileRevalidate(event) {
+  const { request } = event;
+  return caches.open(RUNTIME_CACHE).then((cache) =>
+    cache.match(request).then((cached) => {
+      const refresh = fetch(request).then((response) => {
+        // Opaque responses come from no-cors CDN scripts and are fine to replay
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+      });
+      if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+      }
+      return refresh.catch(offline);
     })
   );
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.pathname.includes(OCR_PATH)) {
+    event.respondWith(ocrCacheFirst(request));
+    return;
+  }
+  url.search = '';
+  url.hash = '';
+  if (request.mode === 'navigate' || precacheUrls.includes(url.href)) {
+    event.respondWith(precached(request));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(event));
 });